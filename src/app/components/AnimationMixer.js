@@ -0,0 +1,92 @@
+"use client";
+
+import { useState } from "react";
+
+const buttonClass =
+  "px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white";
+const activeButtonClass = "px-2 py-1 text-[11px] rounded-lg leading-4 bg-[rgb(43,153,255)] text-white";
+const inputClass =
+  "py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]";
+
+const DEFAULT_LAYER = { enabled: false, weight: 1, additive: false };
+
+// Clips blended on top of the current one, each with its own weight, and crossfades
+// from the current clip to another. The current clip always plays.
+export default function AnimationMixer({ animations, currentAnimation, layers, onLayersChange, onCrossfade }) {
+  const [fadeTarget, setFadeTarget] = useState("");
+  const [fadeDuration, setFadeDuration] = useState(0.5);
+
+  const updateLayer = (name, values) => {
+    onLayersChange({ ...layers, [name]: { ...DEFAULT_LAYER, ...layers[name], ...values } });
+  };
+
+  const targets = animations.filter((name) => name !== currentAnimation);
+  const target = targets.includes(fadeTarget) ? fadeTarget : targets[0] || "";
+
+  return (
+    <div className="w-full flex flex-col gap-2 text-[11px]">
+      <div className="space-y-1">
+        {animations.map((name) => {
+          const layer = { ...DEFAULT_LAYER, ...layers[name] };
+          const isCurrent = name === currentAnimation;
+          return (
+            <div key={name} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={isCurrent || layer.enabled}
+                disabled={isCurrent}
+                onChange={(e) => updateLayer(name, { enabled: e.target.checked })}
+                title={isCurrent ? "Current clip" : "Blend this clip"}
+              />
+              <span
+                className={`w-[80px] shrink-0 truncate ${isCurrent ? "text-[rgba(255,255,255,0.9)]" : "text-[rgba(255,255,255,0.6)]"}`}
+                title={name}
+              >
+                {name}
+              </span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.01"
+                value={layer.weight}
+                onChange={(e) => updateLayer(name, { weight: parseFloat(e.target.value) })}
+                className="flex-1 min-w-0"
+              />
+              <span className="w-8 text-right text-[rgba(255,255,255,0.9)] tabular-nums">{layer.weight.toFixed(2)}</span>
+              <button
+                onClick={() => updateLayer(name, { additive: !layer.additive })}
+                title="Additive: blend the difference to the first frame on top of the other clips"
+                className={layer.additive ? activeButtonClass : buttonClass}
+              >
+                Add
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {targets.length > 0 && (
+        <div className="flex gap-1">
+          <select value={target} onChange={(e) => setFadeTarget(e.target.value)} className={`flex-1 min-w-0 ${inputClass}`}>
+            {targets.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={fadeDuration}
+            onChange={(e) => setFadeDuration(Math.max(0, parseFloat(e.target.value) || 0))}
+            title="Crossfade duration in seconds"
+            className={`w-14 ${inputClass}`}
+          />
+          <button onClick={() => onCrossfade(target, fadeDuration)} className={buttonClass}>
+            Crossfade
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
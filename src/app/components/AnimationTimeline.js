@@ -0,0 +1,164 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import {
+  FRAME_RATES,
+  LOOP_MODES,
+  PLAYBACK_SPEEDS,
+  formatTime,
+  getFrame,
+  getPlayRange,
+  stepFrame,
+} from "../utils/animationTimeline";
+
+const buttonClass =
+  "flex-1 px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white";
+const selectClass =
+  "flex-1 min-w-0 py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]";
+
+// Scrubber, frame stepping and playback settings of the current clip. The playhead is
+// advanced by the model every frame, the panel follows it without re-rendering the scene.
+export default function AnimationTimeline({ playheadRef, duration, timeline, onTimelineChange, onPlayingChange }) {
+  const [time, setTime] = useState(playheadRef.current.time);
+  const { fps } = timeline;
+  const [start, end] = getPlayRange(timeline, duration);
+
+  useEffect(() => {
+    let frame;
+    const update = () => {
+      setTime(playheadRef.current.time);
+      frame = requestAnimationFrame(update);
+    };
+    update();
+    return () => cancelAnimationFrame(frame);
+  }, [playheadRef]);
+
+  // Moving the playhead by hand pauses, a stopped clip would not show the new pose
+  const scrub = (value) => {
+    onPlayingChange("paused");
+    playheadRef.current.time = value;
+    setTime(value);
+  };
+
+  const step = (frames) => scrub(stepFrame(time, fps, frames, [start, end]));
+
+  const stepRef = useRef(step);
+  stepRef.current = step;
+  const scrubberRef = useRef(null);
+
+  // The wheel steps frames. React listens passively, so the listener is added here to keep
+  // the side panel from scrolling.
+  useEffect(() => {
+    const element = scrubberRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      stepRef.current(e.deltaY > 0 ? -1 : 1);
+    };
+    element.addEventListener("wheel", handleWheel, { passive: false });
+    return () => element.removeEventListener("wheel", handleWheel);
+  }, []);
+
+  const setRange = (range) => onTimelineChange({ ...timeline, range });
+
+  const totalFrames = getFrame(duration, fps);
+
+  return (
+    <div className="w-full flex flex-col gap-2 text-[11px]">
+      <div className="flex justify-between text-[rgba(255,255,255,0.9)] tabular-nums">
+        <span>
+          {formatTime(time)} / {formatTime(duration)}
+        </span>
+        <span className="text-[rgba(255,255,255,0.6)]">
+          Frame {getFrame(time, fps)} / {totalFrames}
+        </span>
+      </div>
+
+      <div ref={scrubberRef}>
+        <input
+          type="range"
+          min="0"
+          max={duration}
+          step="0.001"
+          value={time}
+          onChange={(e) => scrub(parseFloat(e.target.value))}
+          className="w-full"
+        />
+        {/* In and out points */}
+        <div className="relative h-1 rounded bg-[rgba(255,255,255,0.1)]">
+          <div
+            className="absolute h-full rounded bg-[rgb(43,153,255)]"
+            style={{
+              left: `${duration > 0 ? (start / duration) * 100 : 0}%`,
+              width: `${duration > 0 ? ((end - start) / duration) * 100 : 100}%`,
+            }}
+          />
+        </div>
+      </div>
+
+      <div className="flex gap-1">
+        <button onClick={() => scrub(start)} title="Go to in point" className={buttonClass}>
+          |◀
+        </button>
+        <button onClick={() => step(-1)} title="Previous frame" className={buttonClass}>
+          ◀
+        </button>
+        <button onClick={() => step(1)} title="Next frame" className={buttonClass}>
+          ▶
+        </button>
+        <button onClick={() => scrub(end)} title="Go to out point" className={buttonClass}>
+          ▶|
+        </button>
+      </div>
+
+      <div className="flex gap-1">
+        <button onClick={() => setRange([time, Math.max(time, end)])} className={buttonClass}>
+          Set In
+        </button>
+        <button onClick={() => setRange([Math.min(start, time), time])} className={buttonClass}>
+          Set Out
+        </button>
+        <button onClick={() => setRange(null)} disabled={!timeline.range} className={`${buttonClass} disabled:opacity-40`}>
+          Clear
+        </button>
+      </div>
+      {timeline.range && (
+        <div className="text-[rgba(255,255,255,0.4)] tabular-nums">
+          Range {formatTime(start)} – {formatTime(end)} (frames {getFrame(start, fps)}–{getFrame(end, fps)})
+        </div>
+      )}
+
+      <div className="flex gap-1">
+        <select
+          value={timeline.speed}
+          onChange={(e) => onTimelineChange({ ...timeline, speed: parseFloat(e.target.value) })}
+          className={selectClass}
+          title="Playback speed"
+        >
+          {PLAYBACK_SPEEDS.map((speed) => (
+            <option key={speed} value={speed}>{speed}×</option>
+          ))}
+        </select>
+        <select
+          value={timeline.loop}
+          onChange={(e) => onTimelineChange({ ...timeline, loop: e.target.value })}
+          className={selectClass}
+          title="Loop mode"
+        >
+          {LOOP_MODES.map((mode) => (
+            <option key={mode.id} value={mode.id}>{mode.label}</option>
+          ))}
+        </select>
+        <select
+          value={fps}
+          onChange={(e) => onTimelineChange({ ...timeline, fps: parseInt(e.target.value, 10) })}
+          className={selectClass}
+          title="Frames per second"
+        >
+          {FRAME_RATES.map((rate) => (
+            <option key={rate} value={rate}>{rate} fps</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
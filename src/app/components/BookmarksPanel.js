@@ -0,0 +1,176 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { createBookmark, parseBookmarks } from "../utils/cameraBookmarks";
+import { downloadJSON, getExportName } from "../utils/download";
+
+const buttonClass =
+  "px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white disabled:opacity-40 disabled:pointer-events-none";
+const activeButtonClass = "px-2 py-1 text-[11px] rounded-lg leading-4 bg-[rgb(43,153,255)] text-white";
+const inputClass =
+  "py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]";
+
+// Named camera views of the current model. onFly resolves with true once the camera
+// has arrived, or false when the flight was interrupted.
+export default function BookmarksPanel({ bookmarks, onChange, getCurrentView, onFly, modelName }) {
+  const [activeId, setActiveId] = useState(null);
+  const [slideshow, setSlideshow] = useState(false);
+  const [hold, setHold] = useState(3);
+  const [error, setError] = useState(null);
+  const bookmarksRef = useRef(bookmarks);
+  bookmarksRef.current = bookmarks;
+  const holdRef = useRef(hold);
+  holdRef.current = hold;
+
+  // Fly through the bookmarks in order until stopped or interrupted
+  useEffect(() => {
+    if (!slideshow) return;
+    let cancelled = false;
+    const run = async () => {
+      for (let index = 0; !cancelled; index++) {
+        const list = bookmarksRef.current;
+        if (list.length === 0) break;
+        const bookmark = list[index % list.length];
+        setActiveId(bookmark.id);
+        const arrived = await onFly(bookmark);
+        if (!arrived || cancelled) break;
+        await new Promise((resolve) => setTimeout(resolve, holdRef.current * 1000));
+      }
+      if (!cancelled) setSlideshow(false);
+    };
+    run();
+    return () => {
+      cancelled = true;
+    };
+  }, [slideshow]);
+
+  const handleAdd = () => {
+    onChange([...bookmarks, createBookmark(`View ${bookmarks.length + 1}`, getCurrentView())]);
+  };
+
+  const handleFly = (bookmark) => {
+    setSlideshow(false);
+    setActiveId(bookmark.id);
+    onFly(bookmark);
+  };
+
+  const updateBookmark = (id, values) => {
+    onChange(bookmarks.map((item) => (item.id === id ? { ...item, ...values } : item)));
+  };
+
+  const moveBookmark = (index, step) => {
+    const list = [...bookmarks];
+    const [item] = list.splice(index, 1);
+    list.splice(index + step, 0, item);
+    onChange(list);
+  };
+
+  const handleExport = () => {
+    downloadJSON(
+      {
+        file: modelName,
+        bookmarks: bookmarks.map(({ name, position, target, fov, zoom, projection }) => ({
+          name,
+          position,
+          target,
+          fov,
+          zoom,
+          projection,
+        })),
+      },
+      `${getExportName(modelName, "bookmarks")}.json`
+    );
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onChange([...bookmarks, ...parseBookmarks(await file.text())]);
+      setError(null);
+    } catch (importError) {
+      setError(`Could not import ${file.name}: ${importError.message}`);
+    }
+  };
+
+  return (
+    <div className="w-full flex flex-col gap-2 text-[11px]">
+      <div className="flex gap-1">
+        <button onClick={handleAdd} className={`flex-1 ${buttonClass}`}>
+          Add Current View
+        </button>
+        <button
+          onClick={() => setSlideshow(!slideshow)}
+          disabled={bookmarks.length < 2}
+          className={`flex-1 ${slideshow ? activeButtonClass : buttonClass}`}
+        >
+          {slideshow ? "Stop Slideshow" : "Slideshow"}
+        </button>
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={hold}
+          onChange={(e) => setHold(Math.max(0, parseFloat(e.target.value) || 0))}
+          title="Seconds to hold each view in the slideshow"
+          className={`w-12 ${inputClass}`}
+        />
+      </div>
+
+      {bookmarks.length > 0 && (
+        <div className="space-y-1">
+          {bookmarks.map((bookmark, index) => (
+            <div key={bookmark.id} className="flex items-center gap-1">
+              <input
+                type="text"
+                value={bookmark.name}
+                onChange={(e) => updateBookmark(bookmark.id, { name: e.target.value })}
+                className={`flex-1 min-w-0 ${inputClass} ${bookmark.id === activeId ? "border-[rgb(43,153,255)]" : ""}`}
+              />
+              <button onClick={() => handleFly(bookmark)} title="Go to this view" className={buttonClass}>
+                Go
+              </button>
+              <button onClick={() => moveBookmark(index, -1)} disabled={index === 0} title="Move up" className={buttonClass}>
+                ↑
+              </button>
+              <button
+                onClick={() => moveBookmark(index, 1)}
+                disabled={index === bookmarks.length - 1}
+                title="Move down"
+                className={buttonClass}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => updateBookmark(bookmark.id, getCurrentView())}
+                title="Replace with the current view"
+                className={buttonClass}
+              >
+                ⟳
+              </button>
+              <button
+                onClick={() => onChange(bookmarks.filter((item) => item.id !== bookmark.id))}
+                title="Remove"
+                className={buttonClass}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-1">
+        <button onClick={handleExport} disabled={bookmarks.length === 0} className={`flex-1 ${buttonClass}`}>
+          Export (JSON)
+        </button>
+        <label className={`flex-1 text-center cursor-pointer ${buttonClass}`}>
+          Import (JSON)
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+      {error && <div className="text-[rgb(255,99,99)]">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { FLIGHT_DURATION, easeInOutCubic, getCameraView, interpolateView } from "../utils/cameraBookmarks";
+
+// Eases the orbit camera and its target to a bookmarked view. onDone receives true on arrival
+// and false when the user grabs the orbit controls on the way.
+export default function CameraFlight({ camera, controls, view, onDone }) {
+  const flightRef = useRef(null);
+
+  useEffect(() => {
+    flightRef.current = { from: null, elapsed: 0, done: false };
+    const handleStart = () => {
+      if (flightRef.current.done) return;
+      flightRef.current.done = true;
+      onDone(false);
+    };
+    controls.addEventListener("start", handleStart);
+    return () => controls.removeEventListener("start", handleStart);
+  }, [camera, controls, view]);
+
+  useFrame((state, delta) => {
+    const flight = flightRef.current;
+    if (!flight || flight.done) return;
+    // Taken on the first frame, a camera that was just switched to has been fitted by then
+    if (!flight.from) flight.from = getCameraView(camera, controls.target);
+    flight.elapsed += delta;
+    const t = Math.min(1, flight.elapsed / FLIGHT_DURATION);
+    const current = interpolateView(flight.from, view, easeInOutCubic(t));
+
+    camera.position.fromArray(current.position);
+    controls.target.fromArray(current.target);
+    if (camera.isPerspectiveCamera) {
+      camera.fov = current.fov;
+    }
+    camera.zoom = current.zoom;
+    camera.updateProjectionMatrix();
+    camera.lookAt(controls.target);
+
+    if (t === 1) {
+      flight.done = true;
+      onDone(true);
+    }
+  });
+
+  return null;
+}
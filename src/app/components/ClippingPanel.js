@@ -0,0 +1,190 @@
+"use client";
+
+import {
+  MAX_SECTION_PLANES,
+  PLANE_AXES,
+  createDefaultClipping,
+  createSectionPlane,
+} from "../utils/clipping";
+
+const buttonClass =
+  "px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white";
+const activeButtonClass = "px-2 py-1 text-[11px] rounded-lg leading-4 bg-[rgb(43,153,255)] text-white";
+const selectClass =
+  "py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]";
+
+// Settings for the section planes and clip box. `handle` is the plane or box shown with
+// transform handles in the viewport, { id, mode }.
+export default function ClippingPanel({ clipping, onChange, handle, onHandleChange, bounds }) {
+  const update = (changes) => onChange({ ...clipping, ...changes });
+
+  const updatePlane = (id, changes) => {
+    update({ planes: clipping.planes.map((plane) => (plane.id === id ? { ...plane, ...changes } : plane)) });
+  };
+
+  const setAxis = (plane, axis) => {
+    const normal = PLANE_AXES.find((item) => item.id === axis).normal || plane.normal;
+    updatePlane(plane.id, { axis, normal, offset: 0 });
+  };
+
+  const addPlane = () => {
+    const used = clipping.planes.map((plane) => plane.axis);
+    const axis = ["y", "x", "z"].find((item) => !used.includes(item)) || "free";
+    const plane = createSectionPlane(axis);
+    update({ planes: [...clipping.planes, plane] });
+    onHandleChange({ id: plane.id, mode: "translate" });
+  };
+
+  const removePlane = (id) => {
+    update({ planes: clipping.planes.filter((plane) => plane.id !== id) });
+    if (handle?.id === id) onHandleChange(null);
+  };
+
+  const toggleHandle = (id, mode = "translate") => {
+    onHandleChange(handle?.id === id && handle.mode === mode ? null : { id, mode });
+  };
+
+  // Offset slider range: half the model diagonal either side of the center
+  const range = bounds ? bounds.size.length() / 2 : 1;
+
+  return (
+    <div className="w-full flex flex-col gap-2 text-[11px]">
+      <div className="flex justify-between">
+        <label className="flex items-center text-[rgba(255,255,255,0.6)]">
+          <input
+            type="checkbox"
+            checked={clipping.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+            className="mr-2"
+          />
+          Enabled
+        </label>
+        <select
+          value={clipping.mode}
+          onChange={(e) => {
+            update({ mode: e.target.value });
+            onHandleChange(null);
+          }}
+          className={selectClass}
+        >
+          <option value="planes">Section Planes</option>
+          <option value="box">Box Clip</option>
+        </select>
+      </div>
+
+      <div className="flex justify-between">
+        <label className="flex items-center text-[rgba(255,255,255,0.6)]">
+          <input
+            type="checkbox"
+            checked={clipping.caps}
+            onChange={(e) => update({ caps: e.target.checked })}
+            className="mr-2"
+          />
+          Fill Cut Surfaces
+        </label>
+        <input
+          type="color"
+          value={clipping.capColor}
+          onChange={(e) => update({ capColor: e.target.value })}
+          className="h-6 rounded bg-[rgba(255,255,255,0.05)] border border-white/10"
+        />
+      </div>
+
+      {clipping.mode === "planes" && (
+        <>
+          {clipping.planes.map((plane, index) => (
+            <div key={plane.id} className="p-2 rounded bg-[rgba(255,255,255,0.03)] flex flex-col gap-2">
+              <div className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={plane.enabled}
+                  onChange={(e) => updatePlane(plane.id, { enabled: e.target.checked })}
+                  title="Enabled"
+                />
+                <span className="flex-1 text-[rgba(255,255,255,0.9)]">Plane {index + 1}</span>
+                <select value={plane.axis} onChange={(e) => setAxis(plane, e.target.value)} className={selectClass}>
+                  {PLANE_AXES.map((axis) => (
+                    <option key={axis.id} value={axis.id}>{axis.label}</option>
+                  ))}
+                </select>
+                <button onClick={() => removePlane(plane.id)} title="Remove plane" className={buttonClass}>
+                  ×
+                </button>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <span className="text-[rgba(255,255,255,0.6)] min-w-[40px]">Offset</span>
+                <input
+                  type="range"
+                  min={-range}
+                  max={range}
+                  step={range / 200}
+                  value={plane.offset}
+                  onChange={(e) => updatePlane(plane.id, { offset: parseFloat(e.target.value) })}
+                  className="flex-1 min-w-0"
+                />
+              </div>
+
+              <div className="flex gap-1">
+                <label className="flex-1 flex items-center text-[rgba(255,255,255,0.6)]">
+                  <input
+                    type="checkbox"
+                    checked={plane.invert}
+                    onChange={(e) => updatePlane(plane.id, { invert: e.target.checked })}
+                    className="mr-2"
+                  />
+                  Invert
+                </label>
+                <button
+                  onClick={() => toggleHandle(plane.id, "translate")}
+                  disabled={!plane.enabled}
+                  className={handle?.id === plane.id && handle.mode === "translate" ? activeButtonClass : buttonClass}
+                >
+                  Move
+                </button>
+                {plane.axis === "free" && (
+                  <button
+                    onClick={() => toggleHandle(plane.id, "rotate")}
+                    disabled={!plane.enabled}
+                    className={handle?.id === plane.id && handle.mode === "rotate" ? activeButtonClass : buttonClass}
+                  >
+                    Rotate
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {clipping.planes.length < MAX_SECTION_PLANES && (
+            <button onClick={addPlane} className={`w-full ${buttonClass}`}>
+              Add Plane
+            </button>
+          )}
+        </>
+      )}
+
+      {clipping.mode === "box" && (
+        <div className="flex gap-1">
+          <button
+            onClick={() => toggleHandle("box", "translate")}
+            className={`flex-1 ${handle?.id === "box" && handle.mode === "translate" ? activeButtonClass : buttonClass}`}
+          >
+            Move
+          </button>
+          <button
+            onClick={() => toggleHandle("box", "scale")}
+            className={`flex-1 ${handle?.id === "box" && handle.mode === "scale" ? activeButtonClass : buttonClass}`}
+          >
+            Resize
+          </button>
+          <button
+            onClick={() => update({ box: createDefaultClipping().box })}
+            className={`flex-1 ${buttonClass}`}
+          >
+            Fit Model
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+"use client";
+
+import { useEffect, useMemo, useRef } from "react";
+import * as THREE from "three";
+import { useFrame } from "@react-three/fiber";
+import { applyShadingMaterials, createShadingMaterials, restoreSourceMaterials } from "../utils/debugShading";
+
+const bounds = new THREE.Box3();
+const sphere = new THREE.Sphere();
+const inverseMatrix = new THREE.Matrix4();
+
+// Seconds between bounds updates while an animation moves the model
+const BOUNDS_REFRESH = 0.25;
+
+// Replaces the materials of the scene for a debug shading mode while mounted
+export default function DebugShading({ scene, mode, wireframe, animating }) {
+  const shading = useMemo(() => createShadingMaterials(mode), [mode]);
+  // Bounding sphere of the model in its own space and the seconds since it was measured
+  const fitRef = useRef({ sphere: null, age: 0 });
+
+  useEffect(() => {
+    if (!shading) return;
+    applyShadingMaterials(scene, shading);
+    return () => {
+      restoreSourceMaterials(scene);
+      shading.dispose();
+    };
+  }, [scene, shading]);
+
+  useEffect(() => {
+    shading?.setWireframe(wireframe);
+  }, [shading, wireframe]);
+
+  // Measure again once an animation stops, to fit its last pose
+  useEffect(() => {
+    fitRef.current.sphere = null;
+  }, [scene, animating]);
+
+  // Fit the depth range to the model as seen from the camera. The bounds follow the model
+  // transform every frame, its pose only while animating.
+  useFrame(({ camera }, delta) => {
+    if (mode !== "depth" || !shading) return;
+    const fit = fitRef.current;
+    fit.age += delta;
+    if (!fit.sphere || (animating && fit.age >= BOUNDS_REFRESH)) {
+      if (animating) {
+        scene.traverse((object) => object.isSkinnedMesh && object.computeBoundingBox());
+      }
+      fit.sphere = bounds.setFromObject(scene).getBoundingSphere(new THREE.Sphere());
+      fit.sphere.applyMatrix4(inverseMatrix.copy(scene.matrixWorld).invert());
+      fit.age = 0;
+    }
+    sphere.copy(fit.sphere).applyMatrix4(scene.matrixWorld);
+    const distance = camera.position.distanceTo(sphere.center);
+    shading.depthRange.value.set(Math.max(0, distance - sphere.radius), distance + sphere.radius);
+  });
+
+  return null;
+}
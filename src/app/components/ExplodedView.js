@@ -0,0 +1,99 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import * as THREE from "three";
+import { useFrame } from "@react-three/fiber";
+
+// Nodes at the given hierarchy depth below the scene, plus leaves of shorter branches
+function getExplodedParts(scene, depth) {
+  const parts = [];
+  const visit = (node, level) => {
+    if (level === depth || node.children.length === 0) {
+      parts.push(node);
+      return;
+    }
+    node.children.forEach((child) => visit(child, level + 1));
+  };
+  scene.children.forEach((child) => visit(child, 1));
+  return parts;
+}
+
+export function getHierarchyDepth(scene) {
+  let depth = 0;
+  const visit = (node, level) => {
+    depth = Math.max(depth, level);
+    node.children.forEach((child) => visit(child, level + 1));
+  };
+  scene.children.forEach((child) => visit(child, 1));
+  return depth;
+}
+
+// First depth with more than one part, files often wrap everything in a single root node
+export function getDefaultExplodeDepth(scene) {
+  const maxDepth = getHierarchyDepth(scene);
+  for (let depth = 1; depth <= maxDepth; depth++) {
+    if (getExplodedParts(scene, depth).length > 1) return depth;
+  }
+  return 1;
+}
+
+// Each part with its assembled position, its offset at amount 1 and the position last written
+function createParts(scene, depth) {
+  scene.updateWorldMatrix(true, true);
+  const center = new THREE.Box3().setFromObject(scene).getCenter(new THREE.Vector3());
+  return getExplodedParts(scene, depth).map((node) => {
+    const box = new THREE.Box3().setFromObject(node);
+    const partCenter = box.isEmpty() ? node.getWorldPosition(new THREE.Vector3()) : box.getCenter(new THREE.Vector3());
+    // World space offset expressed in the parent's space, so scaled parents move parts correctly
+    const target = partCenter.clone().multiplyScalar(2).sub(center);
+    const parent = node.parent;
+    const offset = parent.worldToLocal(target).sub(parent.worldToLocal(partCenter.clone()));
+    return { node, origin: node.position.clone(), offset, written: null };
+  });
+}
+
+// Moves parts of the scene away from the model center. At amount 1 each part sits twice as far
+// from the center as it does in the assembly. Parts ease towards the amount and are put back on
+// their assembled positions at zero and when unmounted. The offset is added to the position the
+// part has in this frame, so animated parts keep moving while exploded.
+export default function ExplodedView({ scene, amount, depth }) {
+  const currentRef = useRef(0);
+  const partsRef = useRef([]);
+
+  // Measured in an effect, after the previous parts have been put back
+  useEffect(() => {
+    const parts = createParts(scene, depth);
+    partsRef.current = parts;
+    currentRef.current = 0;
+    return () => {
+      parts.forEach((part) => {
+        if (part.written && part.node.position.equals(part.written)) {
+          part.node.position.copy(part.origin);
+        }
+      });
+      partsRef.current = [];
+    };
+  }, [scene, depth]);
+
+  // Mounted once the model has loaded, so this runs after the mixer has posed the nodes
+  useFrame((state, delta) => {
+    const current = currentRef.current;
+    if (current === 0 && amount === 0) return;
+
+    let next = THREE.MathUtils.damp(current, amount, 8, delta);
+    if (Math.abs(next - amount) < 1e-4) next = amount;
+    currentRef.current = next;
+
+    partsRef.current.forEach((part) => {
+      const { node } = part;
+      // Unchanged since the last frame means nothing animates the node, its base is still the origin
+      if (!part.written || !node.position.equals(part.written)) {
+        part.origin.copy(node.position);
+      }
+      node.position.copy(part.origin).addScaledVector(part.offset, next);
+      part.written = next === 0 ? null : (part.written || new THREE.Vector3()).copy(node.position);
+    });
+  });
+
+  return null;
+}
@@ -0,0 +1,55 @@
+"use client";
+
+import { MODEL_FILE_ACCEPT } from "../utils/modelFormats";
+
+// useLoader wraps parser errors as "Could not load <url>: <message>", the URL is noise here
+function getErrorMessage(error) {
+  const message = error?.message || String(error);
+  return message.replace(/^Could not load \S+: /, "");
+}
+
+// fetch() only reports a bare network error when a cross-origin response is blocked
+function isNetworkError(error) {
+  return /Failed to fetch|NetworkError|Load failed/i.test(error?.message || "");
+}
+
+export default function LoadErrorOverlay({ error, name, isRemote, onFileUpload, onDismiss }) {
+  return (
+    <div className="absolute inset-0 z-[5] flex justify-center items-center">
+      <div className="w-[360px] max-w-full m-4 p-6 bg-[#121316] rounded-xl shadow-lg border border-white/5 text-white">
+        <h3 className="text-lg font-semibold mb-1">Could not load model</h3>
+        {name && <p className="text-white/40 text-sm mb-4 truncate">{name}</p>}
+
+        <pre className="bg-[rgba(255,255,255,0.05)] p-2 rounded font-mono text-[11px] text-[rgba(255,120,120,0.9)] whitespace-pre-wrap break-words max-h-[40vh] overflow-y-auto">
+          {getErrorMessage(error)}
+        </pre>
+
+        {isRemote && isNetworkError(error) && (
+          <p className="mt-2 text-[11px] text-[rgba(255,255,255,0.5)]">
+            The request was blocked or the server is unreachable. If the file is hosted on
+            another domain, that server has to allow cross-origin (CORS) requests from this site.
+          </p>
+        )}
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button
+            onClick={onDismiss}
+            className="px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] text-sm hover:bg-[rgba(255,255,255,0.1)] transition-colors"
+          >
+            Close
+          </button>
+          <label className="px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] text-sm cursor-pointer hover:bg-[rgb(43,153,255)] hover:text-white transition-colors">
+            Try Another File
+            <input
+              type="file"
+              accept={MODEL_FILE_ACCEPT}
+              multiple
+              onChange={onFileUpload}
+              className="hidden"
+            />
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+"use client";
+
+import { formatBytes } from "../utils/format";
+
+export default function LoadingOverlay({ progress }) {
+  const { loaded = 0, total = 0, itemsLoaded = 0, itemsTotal = 0 } = progress;
+  const percent = total > 0 ? Math.min(100, (loaded / total) * 100) : null;
+  // Once every byte has arrived the loader is still decoding and building the scene
+  const isProcessing = total > 0 && loaded >= total;
+
+  return (
+    <div className="absolute inset-0 z-[5] flex justify-center items-center pointer-events-none">
+      <div className="w-[280px] p-4 bg-[#121316]/95 backdrop-blur-[32px] rounded-2xl shadow-[0_0_0_1px_rgba(255,255,255,0.05)] text-[11px] text-[rgba(255,255,255,0.6)]">
+        <div className="flex justify-between mb-2">
+          <span className="font-semibold text-[rgba(255,255,255,0.9)]">
+            {isProcessing ? "Processing model..." : "Loading model..."}
+          </span>
+          {percent !== null && <span>{percent.toFixed(0)}%</span>}
+        </div>
+
+        <div className="w-full h-1 rounded bg-[rgba(255,255,255,0.05)] overflow-hidden">
+          <div
+            className={`h-full bg-[rgb(43,153,255)] transition-all duration-200 ${percent === null ? "w-1/3 animate-pulse" : ""}`}
+            style={percent === null ? undefined : { width: `${percent}%` }}
+          />
+        </div>
+
+        <div className="flex justify-between mt-2 text-[rgba(255,255,255,0.4)]">
+          <span>
+            {formatBytes(loaded)}
+            {total > 0 && ` / ${formatBytes(total)}`}
+          </span>
+          {itemsTotal > 1 && (
+            <span>
+              Resources {itemsLoaded} / {itemsTotal}
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
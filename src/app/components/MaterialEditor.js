@@ -0,0 +1,276 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import * as THREE from "three";
+import {
+  collectMaterials,
+  getMaterialTextures,
+  getMeshMaterials,
+  isMaterialEdited,
+  rememberMaterial,
+  resetMaterial,
+} from "../utils/sceneMaterials";
+import { getTextureSize } from "../utils/modelStats";
+
+const ALPHA_MODES = ["OPAQUE", "MASK", "BLEND"];
+
+function getAlphaMode(material) {
+  if (material.transparent) return "BLEND";
+  if (material.alphaTest > 0) return "MASK";
+  return "OPAQUE";
+}
+
+function getMaterialLabel(material) {
+  return material.name || `${material.type} ${material.id}`;
+}
+
+function SliderRow({ label, value, onChange, min = 0, max = 1, step = 0.01 }) {
+  return (
+    <div className="flex items-center gap-2">
+      <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">{label}</div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="flex-1 min-w-0"
+      />
+      <span className="w-9 text-right text-[11px] text-[rgba(255,255,255,0.9)] tabular-nums">{value.toFixed(2)}</span>
+    </div>
+  );
+}
+
+function ColorRow({ label, color, onChange }) {
+  return (
+    <div className="flex justify-between">
+      <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">{label}</div>
+      <input
+        type="color"
+        value={`#${color.getHexString()}`}
+        onChange={(e) => onChange(e.target.value)}
+        className="h-6 rounded bg-[rgba(255,255,255,0.05)] border border-white/10"
+      />
+    </div>
+  );
+}
+
+// glTF extensions declared on the file's material, e.g. KHR_materials_clearcoat
+function getMaterialExtensions(model, material) {
+  const index = model?.parser?.associations.get(material)?.materials;
+  const definition = index !== undefined ? model.parser.json.materials?.[index] : null;
+  return Object.keys(definition?.extensions || {});
+}
+
+// Live editor for the PBR parameters of every material in the scene. The values loaded
+// from the file are kept on the first edit so each material can be reset.
+export default function MaterialEditor({ model, selectedObjects = [] }) {
+  const materials = useMemo(() => collectMaterials(model.scene), [model]);
+  const [currentId, setCurrentId] = useState(materials[0]?.uuid);
+  // Values live on the materials, bump this to re-render after changing them
+  const [, setVersion] = useState(0);
+
+  // Follow the selection in the viewport
+  useEffect(() => {
+    const selected = selectedObjects.flatMap(getMeshMaterials)[0];
+    if (selected && materials.includes(selected)) {
+      setCurrentId(selected.uuid);
+    }
+  }, [selectedObjects, materials]);
+
+  const material = materials.find((item) => item.uuid === currentId) || materials[0];
+
+  if (!material) {
+    return <div className="text-[11px] text-[rgba(255,255,255,0.4)]">No materials</div>;
+  }
+
+  const update = (changes) => {
+    rememberMaterial(material);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (material[key]?.isColor) {
+        material[key].set(value);
+      } else if (material[key]?.isVector2) {
+        material[key].copy(value);
+      } else {
+        material[key] = value;
+      }
+    });
+    setVersion((version) => version + 1);
+  };
+
+  // Blending and alpha testing change the shader program
+  const updateProgram = (changes) => {
+    update(changes);
+    material.needsUpdate = true;
+  };
+
+  const setAlphaMode = (mode) => {
+    updateProgram({
+      transparent: mode === "BLEND",
+      depthWrite: mode !== "BLEND",
+      alphaTest: mode === "MASK" ? material.alphaTest || 0.5 : 0,
+    });
+  };
+
+  const handleReset = () => {
+    resetMaterial(material);
+    setVersion((version) => version + 1);
+  };
+
+  const handleResetAll = () => {
+    materials.forEach(resetMaterial);
+    setVersion((version) => version + 1);
+  };
+
+  const alphaMode = getAlphaMode(material);
+  const extensions = getMaterialExtensions(model, material);
+  const textures = getMaterialTextures(material);
+  const isStandard = material.isMeshStandardMaterial;
+  const isPhysical = material.isMeshPhysicalMaterial;
+
+  return (
+    <div className="w-full flex flex-col gap-2">
+      <select
+        value={material.uuid}
+        onChange={(e) => setCurrentId(e.target.value)}
+        className="w-full py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+      >
+        {materials.map((item) => (
+          <option key={item.uuid} value={item.uuid}>
+            {getMaterialLabel(item)}{isMaterialEdited(item) ? " *" : ""}
+          </option>
+        ))}
+      </select>
+
+      <div className="text-[10px] text-[rgba(255,255,255,0.4)] break-words">
+        {material.type}
+        {extensions.length > 0 && ` · ${extensions.join(", ")}`}
+      </div>
+
+      {material.color && (
+        <ColorRow label="Base Color" color={material.color} onChange={(value) => update({ color: value })} />
+      )}
+      {isStandard && (
+        <>
+          <SliderRow label="Metallic" value={material.metalness} onChange={(value) => update({ metalness: value })} />
+          <SliderRow label="Roughness" value={material.roughness} onChange={(value) => update({ roughness: value })} />
+          <ColorRow label="Emissive" color={material.emissive} onChange={(value) => update({ emissive: value })} />
+          <SliderRow
+            label="Emissive Int."
+            value={material.emissiveIntensity}
+            onChange={(value) => update({ emissiveIntensity: value })}
+            max={10}
+          />
+          {material.normalMap && (
+            <SliderRow
+              label="Normal Scale"
+              value={material.normalScale.x}
+              onChange={(value) => update({ normalScale: new THREE.Vector2(value, material.normalScale.y < 0 ? -value : value) })}
+              max={2}
+            />
+          )}
+          {material.aoMap && (
+            <SliderRow
+              label="Occlusion"
+              value={material.aoMapIntensity}
+              onChange={(value) => update({ aoMapIntensity: value })}
+            />
+          )}
+        </>
+      )}
+
+      <div className="flex justify-between">
+        <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">Alpha Mode</div>
+        <select
+          value={alphaMode}
+          onChange={(e) => setAlphaMode(e.target.value)}
+          className="flex-1 py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+        >
+          {ALPHA_MODES.map((mode) => (
+            <option key={mode} value={mode}>{mode}</option>
+          ))}
+        </select>
+      </div>
+      {alphaMode === "MASK" && (
+        <SliderRow label="Alpha Cutoff" value={material.alphaTest} onChange={(value) => update({ alphaTest: value })} />
+      )}
+      {alphaMode === "BLEND" && (
+        <SliderRow label="Opacity" value={material.opacity} onChange={(value) => update({ opacity: value })} />
+      )}
+      <label className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)]">
+        <input
+          type="checkbox"
+          checked={material.side === THREE.DoubleSide}
+          onChange={(e) => updateProgram({ side: e.target.checked ? THREE.DoubleSide : THREE.FrontSide })}
+          className="mr-2"
+        />
+        Double Sided
+      </label>
+
+      {isPhysical && (
+        <div className="pt-2 border-t border-white/5 flex flex-col gap-2">
+          <div className="text-[11px] text-[rgba(255,255,255,0.9)]">Clearcoat</div>
+          <SliderRow label="Factor" value={material.clearcoat} onChange={(value) => update({ clearcoat: value })} />
+          <SliderRow
+            label="Roughness"
+            value={material.clearcoatRoughness}
+            onChange={(value) => update({ clearcoatRoughness: value })}
+          />
+
+          <div className="text-[11px] text-[rgba(255,255,255,0.9)]">Transmission</div>
+          <SliderRow label="Factor" value={material.transmission} onChange={(value) => update({ transmission: value })} />
+          <SliderRow label="Thickness" value={material.thickness} onChange={(value) => update({ thickness: value })} max={5} />
+
+          <div className="text-[11px] text-[rgba(255,255,255,0.9)]">Sheen</div>
+          <SliderRow label="Factor" value={material.sheen} onChange={(value) => update({ sheen: value })} />
+          <SliderRow label="Roughness" value={material.sheenRoughness} onChange={(value) => update({ sheenRoughness: value })} />
+          <ColorRow label="Color" color={material.sheenColor} onChange={(value) => update({ sheenColor: value })} />
+
+          <div className="text-[11px] text-[rgba(255,255,255,0.9)]">Specular</div>
+          <SliderRow
+            label="Factor"
+            value={material.specularIntensity}
+            onChange={(value) => update({ specularIntensity: value })}
+          />
+          <ColorRow label="Color" color={material.specularColor} onChange={(value) => update({ specularColor: value })} />
+
+          <SliderRow label="IOR" value={material.ior} onChange={(value) => update({ ior: value })} min={1} max={2.333} />
+        </div>
+      )}
+
+      <div className="pt-2 border-t border-white/5 text-[11px]">
+        <div className="mb-1 text-[rgba(255,255,255,0.9)]">Textures</div>
+        {textures.length === 0 && <div className="text-[rgba(255,255,255,0.4)]">None</div>}
+        {textures.map(({ slot, texture }) => {
+          const { width, height } = getTextureSize(texture);
+          return (
+            <div key={slot} className="flex justify-between gap-2 leading-5">
+              <span className="shrink-0 text-[rgba(255,255,255,0.6)]">{slot}</span>
+              <span className="truncate text-[rgba(255,255,255,0.9)]" title={texture.name}>
+                {texture.name || "Unnamed"} · {width} × {height}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-1">
+        <button
+          onClick={handleReset}
+          disabled={!isMaterialEdited(material)}
+          className="flex-1 px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 enabled:hover:bg-[rgb(43,153,255)] enabled:hover:text-white disabled:opacity-40"
+        >
+          Reset to File
+        </button>
+        <button
+          onClick={handleResetAll}
+          disabled={!materials.some(isMaterialEdited)}
+          className="flex-1 px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 enabled:hover:bg-[rgb(43,153,255)] enabled:hover:text-white disabled:opacity-40"
+        >
+          Reset All
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+"use client";
+
+import { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { Html, Line } from "@react-three/drei";
+import { formatMeasurement, getLabelPosition } from "../utils/measurements";
+
+const LINE_COLOR = "#2b99ff";
+const DRAFT_COLOR = "#ffbe46";
+
+function MeasurePoint({ position, color, size }) {
+  return (
+    <mesh position={position} scale={size} renderOrder={10} raycast={() => null}>
+      <sphereGeometry args={[1, 12, 8]} />
+      <meshBasicMaterial color={color} depthTest={false} transparent />
+    </mesh>
+  );
+}
+
+function MeasureShape({ measurement, unit, color, pointSize }) {
+  const { type, points, label } = measurement;
+  const linePoints = type === "area" && points.length > 2 ? [...points, points[0]] : points;
+
+  return (
+    <group>
+      {points.map((point, index) => (
+        <MeasurePoint key={index} position={point} color={color} size={pointSize} />
+      ))}
+      {linePoints.length > 1 && (
+        <Line
+          points={linePoints}
+          color={color}
+          lineWidth={2}
+          depthTest={false}
+          transparent
+          renderOrder={10}
+        />
+      )}
+      {label !== undefined && (
+        <Html position={getLabelPosition(measurement)} center zIndexRange={[20, 0]} style={{ pointerEvents: "none" }}>
+          <div className="px-2 py-1 rounded bg-[rgba(0,0,0,0.7)] text-[11px] text-white whitespace-nowrap">
+            {label && <span className="text-[rgba(255,255,255,0.6)] mr-1">{label}</span>}
+            {formatMeasurement(measurement, unit)}
+          </div>
+        </Html>
+      )}
+    </group>
+  );
+}
+
+// Saved measurements and the one being placed, drawn on top of the model. Points are in the
+// space of root and follow its transform.
+export default function MeasureOverlay({ root, measurements, draft, unit, pointSize }) {
+  const groupRef = useRef();
+
+  useFrame(() => {
+    groupRef.current.matrix.copy(root.matrixWorld);
+    groupRef.current.matrixWorldNeedsUpdate = true;
+  });
+
+  return (
+    <group ref={groupRef} matrixAutoUpdate={false}>
+      {measurements.map((measurement) => (
+        <MeasureShape
+          key={measurement.id}
+          measurement={measurement}
+          unit={unit}
+          color={LINE_COLOR}
+          pointSize={pointSize}
+        />
+      ))}
+      {draft && draft.points.length > 0 && (
+        <MeasureShape
+          // Only an area has a value before it is complete
+          measurement={{ ...draft, label: draft.type === "area" && draft.points.length > 2 ? "" : undefined }}
+          unit={unit}
+          color={DRAFT_COLOR}
+          pointSize={pointSize}
+        />
+      )}
+    </group>
+  );
+}
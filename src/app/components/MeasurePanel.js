@@ -0,0 +1,140 @@
+"use client";
+
+import {
+  LENGTH_UNITS,
+  MEASURE_TOOLS,
+  SNAP_MODES,
+  formatLength,
+  formatMeasurement,
+} from "../utils/measurements";
+import { downloadJSON, getExportName } from "../utils/download";
+
+const buttonClass =
+  "px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white";
+const activeButtonClass = "px-2 py-1 text-[11px] rounded-lg leading-4 bg-[rgb(43,153,255)] text-white";
+const selectClass =
+  "flex-1 py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]";
+
+const TOOL_HINTS = {
+  distance: "Click two points on the model.",
+  angle: "Click three points, the angle is measured at the second.",
+  area: "Click the corners of the area, then press Enter or Finish.",
+};
+
+// Measurement tools, settings and the list of kept measurements
+export default function MeasurePanel({
+  tool,
+  onToolChange,
+  unit,
+  onUnitChange,
+  snap,
+  onSnapChange,
+  measurements,
+  onMeasurementsChange,
+  draft,
+  onFinishDraft,
+  bounds,
+  modelName,
+}) {
+  const handleExport = () => {
+    downloadJSON(
+      {
+        file: modelName,
+        unit,
+        boundingBox: bounds && {
+          width: bounds.size.x,
+          height: bounds.size.y,
+          depth: bounds.size.z,
+        },
+        measurements: measurements.map((measurement) => ({
+          ...measurement,
+          value: formatMeasurement(measurement, unit),
+        })),
+      },
+      `${getExportName(modelName, "measurements")}.json`
+    );
+  };
+
+  const renameMeasurement = (id, label) => {
+    onMeasurementsChange(measurements.map((item) => (item.id === id ? { ...item, label } : item)));
+  };
+
+  return (
+    <div className="w-full flex flex-col gap-2 text-[11px]">
+      <div className="flex gap-1">
+        {MEASURE_TOOLS.map((item) => (
+          <button
+            key={item.id}
+            onClick={() => onToolChange(tool === item.id ? null : item.id)}
+            className={`flex-1 ${tool === item.id ? activeButtonClass : buttonClass}`}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+      {tool && <div className="text-[rgba(255,255,255,0.4)]">{TOOL_HINTS[tool]} Esc cancels.</div>}
+      {tool === "area" && draft?.points.length > 2 && (
+        <button onClick={onFinishDraft} className={`w-full ${buttonClass}`}>
+          Finish Area
+        </button>
+      )}
+
+      <div className="flex gap-1">
+        <select value={snap} onChange={(e) => onSnapChange(e.target.value)} className={selectClass} title="Snap to">
+          {SNAP_MODES.map((mode) => (
+            <option key={mode.id} value={mode.id}>Snap: {mode.label}</option>
+          ))}
+        </select>
+        <select value={unit} onChange={(e) => onUnitChange(e.target.value)} className={selectClass} title="Display unit">
+          {LENGTH_UNITS.map((item) => (
+            <option key={item.id} value={item.id}>{item.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {bounds && (
+        <div className="p-2 rounded bg-[rgba(255,255,255,0.03)]">
+          <div className="text-[rgba(255,255,255,0.9)]">Bounding Box</div>
+          <div className="text-[rgba(255,255,255,0.6)] tabular-nums">
+            {formatLength(bounds.size.x, unit)} × {formatLength(bounds.size.y, unit)} × {formatLength(bounds.size.z, unit)}
+          </div>
+        </div>
+      )}
+
+      {measurements.length > 0 && (
+        <>
+          <div className="space-y-1">
+            {measurements.map((measurement) => (
+              <div key={measurement.id} className="flex items-center gap-1">
+                <input
+                  type="text"
+                  value={measurement.label}
+                  onChange={(e) => renameMeasurement(measurement.id, e.target.value)}
+                  className="w-16 py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+                />
+                <span className="flex-1 truncate text-[rgba(255,255,255,0.9)] tabular-nums">
+                  {formatMeasurement(measurement, unit)}
+                </span>
+                <button
+                  onClick={() => onMeasurementsChange(measurements.filter((item) => item.id !== measurement.id))}
+                  title="Remove"
+                  className={buttonClass}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-1">
+            <button onClick={handleExport} className={`flex-1 ${buttonClass}`}>
+              Export (JSON)
+            </button>
+            <button onClick={() => onMeasurementsChange([])} className={`flex-1 ${buttonClass}`}>
+              Clear All
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
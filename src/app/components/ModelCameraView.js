@@ -0,0 +1,29 @@
+"use client";
+
+import { useLayoutEffect } from "react";
+import { useThree } from "@react-three/fiber";
+import { fitCameraToViewport } from "../utils/gltfCameras";
+
+// Renders through a camera of the model while mounted. The camera stays in the scene graph,
+// so animated cameras follow their clip. Orbit controls are paused, they drive the free camera.
+export default function ModelCameraView({ model, camera }) {
+  const get = useThree((state) => state.get);
+  const set = useThree((state) => state.set);
+  const size = useThree((state) => state.size);
+
+  useLayoutEffect(() => {
+    const { camera: previous, controls } = get();
+    set({ camera });
+    if (controls) controls.enabled = false;
+    return () => {
+      set({ camera: previous });
+      if (controls) controls.enabled = true;
+    };
+  }, [camera, get, set]);
+
+  useLayoutEffect(() => {
+    fitCameraToViewport(model, camera, size.width, size.height);
+  }, [model, camera, size]);
+
+  return null;
+}
@@ -0,0 +1,30 @@
+"use client";
+
+import { Component } from "react";
+
+// Catches loader and parser errors thrown by the Canvas content.
+// Remount it with a new `key` to clear the error for the next model.
+export default class ModelErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    console.error("Model failed to load:", error);
+    if (this.props.onError) {
+      this.props.onError(error);
+    }
+  }
+
+  render() {
+    if (this.state.error) {
+      return null;
+    }
+    return this.props.children;
+  }
+}
@@ -0,0 +1,53 @@
+"use client";
+
+import { motion } from "framer-motion";
+import { MODEL_FORMATS, getFormatFromPath } from "../utils/modelFormats";
+
+// Lets the user choose which model to open when a drop or archive contains several
+export default function ModelPickerDialog({ paths, onPick, onCancel }) {
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black/60 z-40"
+        onClick={onCancel}
+      />
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="fixed top-1/2 left-1/2 !-translate-x-1/2 !-translate-y-1/2 z-50 bg-[#121316] p-6 rounded-xl shadow-lg border border-white/5 text-white max-w-lg w-full m-4"
+        style={{ maxHeight: '80vh', overflowY: 'auto' }}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">Choose a Model</h3>
+          <button
+            onClick={onCancel}
+            className="text-white/50 hover:text-white"
+          >
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+            </svg>
+          </button>
+        </div>
+
+        <p className="text-white/40 text-sm mb-4">
+          The dropped files contain {paths.length} models. Pick the one to open.
+        </p>
+
+        <div className="space-y-1">
+          {paths.map((path) => (
+            <button
+              key={path}
+              onClick={() => onPick(path)}
+              className="w-full flex justify-between items-center gap-2 px-3 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-left text-sm text-[rgba(255,255,255,0.7)] hover:bg-[rgb(43,153,255)] hover:text-white transition-colors"
+            >
+              <span className="truncate font-mono text-[12px]">{path}</span>
+              <span className="shrink-0 text-[11px] opacity-60">
+                {MODEL_FORMATS[getFormatFromPath(path)]?.label}
+              </span>
+            </button>
+          ))}
+        </div>
+      </motion.div>
+    </>
+  );
+}
@@ -2,17 +2,61 @@
 
 import {
   OrbitControls,
-  useGLTF,
+  OrthographicCamera,
   PerspectiveCamera,
   useAnimations,
 } from "@react-three/drei";
-import { Suspense, useRef, useState, useEffect, useImperativeHandle, forwardRef, useCallback } from "react";
+import { Suspense, useRef, useState, useEffect, useImperativeHandle, forwardRef, useCallback, useMemo } from "react";
 import * as THREE from "three";
-import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import { Canvas, useFrame, useLoader, useThree } from "@react-three/fiber";
 import { RoomEnvironment } from "three/examples/jsm/environments/RoomEnvironment.js";
 import { EXRLoader } from "three/examples/jsm/loaders/EXRLoader.js";
 import Stats from "three/examples/jsm/libs/stats.module.js";
 import { motion } from "framer-motion";
+import { createModelSource, createUrlSource, getDroppedFiles, getInputFiles, getModelCandidates } from "../utils/modelFiles";
+import { extractZipFiles } from "../utils/zipFiles";
+import { MODEL_FILE_ACCEPT, MODEL_FORMATS, detectFileFormat } from "../utils/modelFormats";
+import { ModelLoader } from "../utils/modelLoader";
+import { getQueryParam, setQueryParams } from "../utils/queryParams";
+import { getCompressionExtensions } from "../utils/gltfLoader";
+import ModelErrorBoundary from "./ModelErrorBoundary";
+import LoadingOverlay from "./LoadingOverlay";
+import LoadErrorOverlay from "./LoadErrorOverlay";
+import ModelPickerDialog from "./ModelPickerDialog";
+import SceneOutliner from "./SceneOutliner";
+import ModelStatsPanel from "./ModelStatsPanel";
+import ValidationPanel from "./ValidationPanel";
+import SelectionHighlight from "./SelectionHighlight";
+import SelectionInspector from "./SelectionInspector";
+import MaterialEditor from "./MaterialEditor";
+import TextureBrowser from "./TextureBrowser";
+import DebugShading from "./DebugShading";
+import SectionPlanes from "./SectionPlanes";
+import ClippingPanel from "./ClippingPanel";
+import MeasureOverlay from "./MeasureOverlay";
+import MeasurePanel from "./MeasurePanel";
+import MorphTargetPanel from "./MorphTargetPanel";
+import ExplodedView, { getDefaultExplodeDepth, getHierarchyDepth } from "./ExplodedView";
+import AnimationTimeline from "./AnimationTimeline";
+import AnimationMixer from "./AnimationMixer";
+import RenderExporter from "./RenderExporter";
+import RootMotionPanel from "./RootMotionPanel";
+import ModelCameraView from "./ModelCameraView";
+import CameraFlight from "./CameraFlight";
+import BookmarksPanel from "./BookmarksPanel";
+import ViewCube from "./ViewCube";
+import RenderExportDialog from "./RenderExportDialog";
+import { findObjectsForPointer, validateModelSource } from "../utils/gltfValidation";
+import { getMeshMaterials } from "../utils/sceneMaterials";
+import { SHADING_MODES } from "../utils/debugShading";
+import { createDefaultClipping, getLocalBounds, getModelBounds, loadClipping, saveClipping } from "../utils/clipping";
+import { MEASURE_TOOLS, snapIntersection } from "../utils/measurements";
+import { getVariantNames, selectVariant } from "../utils/materialVariants";
+import { advanceTime, createDefaultTimeline, getPlayRange } from "../utils/animationTimeline";
+import { getModelCameras } from "../utils/gltfCameras";
+import { PROJECTIONS, VIEW_PRESETS, fitOrthographicCamera, getPresetView } from "../utils/viewPresets";
+import { getBookmarkKey, getCameraView, loadBookmarks, saveBookmarks } from "../utils/cameraBookmarks";
+import { createDefaultRootMotion, detectRootBone, getBones, getClipStartPosition, stripRootMotion } from "../utils/rootMotion";
 
 const Model = forwardRef(function Model({
   rotationX,
@@ -22,15 +66,31 @@ const Model = forwardRef(function Model({
   position,
   config,
   onLoad,
+  onProgress,
   modelUrl,
+  format,
+  manager,
   currentAnimation,
   isPlaying,
   onAnimationChange,
-  onPlayingChange
+  onPlayingChange,
+  timeline,
+  playheadRef,
+  layers,
+  rootMotion,
+  onPick
 }, ref) {
   const modelRef = useRef();
-  const gltf = useGLTF(modelUrl);
-  const { actions } = useAnimations(gltf.animations, modelRef);
+  const gl = useThree((state) => state.gl);
+  const size = useThree((state) => state.size);
+  const controls = useThree((state) => state.controls);
+  // The loader instance is shared between loads, so configure it every time.
+  // Every format is normalised to the { scene, animations, cameras } shape of a glTF.
+  const gltf = useLoader(ModelLoader, modelUrl, (loader) => {
+    loader.manager = manager || THREE.DefaultLoadingManager;
+    loader.setFormat(format || "gltf").setRenderer(gl);
+  }, onProgress);
+  const { actions, mixer } = useAnimations(gltf.animations, modelRef);
   const [isInitialized, setIsInitialized] = useState(false);
   const hasLoaded = useRef(false);
   const [isVisible, setIsVisible] = useState(false);
@@ -152,7 +212,7 @@ const Model = forwardRef(function Model({
       requestAnimationFrame(() => {
         onLoad(sceneSettings, () => {
           setIsVisible(true);
-        });
+        }, gltf);
       });
     }
   }, [gltf, onLoad, modelUrl]);
@@ -160,11 +220,14 @@ const Model = forwardRef(function Model({
   useEffect(() => {
     if (gltf.scene) {
       gltf.scene.traverse((child) => {
-        if (child.isMesh) {
-          child.material.wireframe = config.wireframe;
-          if (child.material.size !== undefined) {
-            child.material.size = config.pointSize;
-          }
+        if (child.isMesh || child.isPoints) {
+          // OBJ and FBX meshes can carry one material per group
+          getMeshMaterials(child).forEach((material) => {
+            material.wireframe = config.wireframe;
+            if (material.size !== undefined) {
+              material.size = config.pointSize;
+            }
+          });
         }
       });
     }
@@ -175,7 +238,7 @@ const Model = forwardRef(function Model({
       console.log('Available animations:', gltf.animations);
       const firstAnimation = gltf.animations[0].name || '0';
       onAnimationChange(firstAnimation);
-      onPlayingChange(true);
+      onPlayingChange('playing');
       setIsInitialized(true);
 
       if (actions[firstAnimation]) {
@@ -186,25 +249,141 @@ const Model = forwardRef(function Model({
     }
   }, [gltf.animations, actions, isInitialized, onAnimationChange, onPlayingChange]);
 
+  // Additive copies of clips, created the first time a clip is layered additively
+  const additiveActionsRef = useRef(new Map());
+  // { from, to, fromWeight, toWeight, elapsed, duration } while crossfading between clips
+  const fadeRef = useRef(null);
+
+  const getAction = (name, additive) => {
+    const action = actions[name];
+    if (!action || !additive) return action;
+    let additiveAction = additiveActionsRef.current.get(name);
+    if (!additiveAction) {
+      const clip = action.getClip().clone();
+      THREE.AnimationUtils.makeClipAdditive(clip);
+      additiveAction = mixer.clipAction(clip, modelRef.current);
+      additiveAction.timeScale = 0;
+      additiveActionsRef.current.set(name, additiveAction);
+    }
+    return additiveAction;
+  };
+
+  const getLayerAction = (name) => getAction(name, layers[name]?.additive);
+  const getLayerWeight = (name) => layers[name]?.weight ?? 1;
+
+  // Play the current clip and the enabled layers, stop everything else. An action
+  // that is fading out keeps playing until the crossfade has finished.
+  const syncActions = () => {
+    const fade = fadeRef.current;
+    Object.keys(actions).forEach((name) => {
+      const shown = isPlaying !== 'stopped' && (name === currentAnimation || layers[name]?.enabled);
+      const active = shown ? getLayerAction(name) : null;
+      [actions[name], additiveActionsRef.current.get(name)].forEach((action) => {
+        if (!action) return;
+        if (action === active) {
+          action.play();
+          if (action !== fade?.to && action !== fade?.from) {
+            action.weight = getLayerWeight(name);
+          }
+        } else if (action !== fade?.from) {
+          action.stop();
+        }
+      });
+    });
+  };
+
   useEffect(() => {
     if (!actions || !isInitialized) return;
+    syncActions();
+  }, [actions, currentAnimation, isPlaying, isInitialized, layers]);
+
+  const rootBone = useMemo(
+    () => (rootMotion?.bone ? gltf.scene.getObjectByProperty('uuid', rootMotion.bone) : null),
+    [gltf.scene, rootMotion?.bone]
+  );
+  const rootStart = useMemo(
+    () => (rootBone && actions[currentAnimation] ? getClipStartPosition(actions[currentAnimation].getClip(), rootBone) : null),
+    [rootBone, actions, currentAnimation]
+  );
+  // World position of the root bone on the previous frame while following it
+  const followRef = useRef(null);
+
+  // Runs after the mixer has posed the skeleton
+  useFrame(() => {
+    if (!rootBone) return;
+    const action = currentAnimation && actions[currentAnimation] && getLayerAction(currentAnimation);
+    if (rootMotion.inPlace && rootStart && action?.isScheduled()) {
+      stripRootMotion(rootBone, rootStart, rootMotion.axes);
+    }
+    // Only the orbit camera follows, a camera from the file keeps its authored shot
+    if (rootMotion.follow && controls?.enabled) {
+      const position = rootBone.getWorldPosition(new THREE.Vector3());
+      if (followRef.current) {
+        controls.object.position.add(position.clone().sub(followRef.current));
+      }
+      controls.target.copy(position);
+      followRef.current = position;
+    } else {
+      followRef.current = null;
+    }
+  });
+
+  useEffect(() => {
+    const additiveActions = additiveActionsRef.current;
+    return () => {
+      additiveActions.forEach((action) => mixer.uncacheClip(action.getClip()));
+      additiveActions.clear();
+    };
+  }, [mixer]);
+
+  // The mixer only applies poses, the playhead below sets the time of the current clip
+  useEffect(() => {
+    Object.values(actions).forEach((action) => {
+      action.timeScale = 0;
+    });
+  }, [actions]);
 
-    console.log('Animation state change:', { currentAnimation, isPlaying, actions });
+  // Advance the playhead with the loop mode and in and out points of the timeline.
+  // Runs before the mixer update so the pose of the new time shows in this frame.
+  useFrame((state, delta) => {
+    const action = currentAnimation && actions[currentAnimation] && getLayerAction(currentAnimation);
+    if (!action) return;
+    const playhead = playheadRef.current;
+    const step = isPlaying === 'playing' ? delta * timeline.speed : 0;
+    if (step > 0) {
+      const range = getPlayRange(timeline, action.getClip().duration);
+      const next = advanceTime(playhead, step, timeline.loop, range);
+      playhead.time = next.time;
+      playhead.direction = next.direction;
+      if (next.finished) {
+        onPlayingChange('paused');
+      }
+    }
+    action.time = playhead.time;
 
-    if (currentAnimation && actions[currentAnimation]) {
-      const action = actions[currentAnimation];
+    // Layers and clips fading out simply repeat
+    [...Object.values(actions), ...additiveActionsRef.current.values()].forEach((layer) => {
+      const duration = layer.getClip().duration;
+      if (layer !== action && layer.isScheduled() && duration > 0) {
+        layer.time = (layer.time + step) % duration;
+      }
+    });
 
-      if (isPlaying === 'playing') {
-        action.paused = false;
-        action.play();
-      } else if (isPlaying === 'paused') {
-        action.paused = true;
-      } else if (isPlaying === 'stopped') {
-        action.stop();
-        action.reset();
+    const fade = fadeRef.current;
+    // The fade runs on frame time, pausing halfway would leave both clips partly weighted
+    if (fade) {
+      fade.elapsed += delta;
+      const t = fade.duration > 0 ? Math.min(1, fade.elapsed / fade.duration) : 1;
+      if (fade.from) {
+        fade.from.weight = fade.fromWeight * (1 - t);
+      }
+      fade.to.weight = fade.toWeight * t;
+      if (t === 1) {
+        fadeRef.current = null;
+        syncActions();
       }
     }
-  }, [actions, currentAnimation, isPlaying, isInitialized]);
+  }, -1);
 
   useEffect(() => {
     return () => {
@@ -260,21 +439,24 @@ const Model = forwardRef(function Model({
     return found;
   };
 
-  const handleProgress = (progress) => {
-    if (currentAnimation && actions[currentAnimation]) {
-      const action = actions[currentAnimation];
-      const duration = action.getClip().duration;
-      action.time = duration * progress;
-
-      if (action.paused) {
-        action.play();
-        action.paused = true;
-      }
-    }
-  };
-
   useImperativeHandle(ref, () => ({
-    handleProgress,
+    // Fade from the current clip to the named one, which then becomes the current clip
+    crossFadeTo: (name, duration) => {
+      const from = currentAnimation && actions[currentAnimation] && getLayerAction(currentAnimation);
+      const to = actions[name] && getLayerAction(name);
+      if (!to || to === from) return;
+      fadeRef.current?.from?.stop();
+      to.stop().play();
+      to.weight = 0;
+      fadeRef.current = {
+        from,
+        to,
+        fromWeight: from ? from.weight : 0,
+        toWeight: getLayerWeight(name),
+        elapsed: 0,
+        duration,
+      };
+    },
     getDuration: () => {
       if (currentAnimation && actions[currentAnimation]) {
         return actions[currentAnimation].getClip().duration;
@@ -287,6 +469,25 @@ const Model = forwardRef(function Model({
     return null;
   }
 
+  // Pick the nearest visible object. Hidden nodes still intersect the ray, and a click
+  // that ends an orbit drag should not pick anything.
+  const handleClick = (e) => {
+    e.stopPropagation();
+    if (!onPick || e.delta > 4) return;
+    const hit = e.intersections.find(
+      ({ object, point }) => isShownInModel(object, gltf.scene) && !isClippedAway(object, point)
+    );
+    if (hit) {
+      onPick(hit, {
+        additive: e.shiftKey,
+        camera: e.camera,
+        pointer: e.pointer,
+        width: size.width,
+        height: size.height,
+      });
+    }
+  };
+
   return (
     <group
       ref={modelRef}
@@ -305,11 +506,29 @@ const Model = forwardRef(function Model({
         object={gltf.scene}
         scale={scale}
         style={{ cursor: "grab" }}
+        onClick={handleClick}
       />
     </group>
   );
 });
 
+// Whether an object belongs to root and neither it nor any ancestor up to root is hidden
+function isShownInModel(object, root) {
+  let node = object;
+  while (node) {
+    if (!node.visible) return false;
+    if (node === root) return true;
+    node = node.parent;
+  }
+  return false;
+}
+
+// Whether a point of an object lies in the part removed by section planes
+function isClippedAway(object, point) {
+  const material = Array.isArray(object.material) ? object.material[0] : object.material;
+  return Boolean(material?.clippingPlanes?.some((plane) => plane.distanceToPoint(point) < 0));
+}
+
 const environments = [
   {
     id: "",
@@ -388,6 +607,38 @@ function PerformanceStatsUpdater({ stats }) {
   return null;
 }
 
+// Reports renderer.info counters twice a second, only when they change
+function RendererInfoProbe({ onUpdate }) {
+  const gl = useThree((state) => state.gl);
+  const lastUpdateRef = useRef({ time: 0, key: "" });
+
+  useFrame(({ clock }) => {
+    // The clock restarts from zero after a render export
+    const elapsed = clock.elapsedTime - lastUpdateRef.current.time;
+    if (elapsed >= 0 && elapsed < 0.5) return;
+
+    const { render, memory, programs } = gl.info;
+    const info = {
+      calls: render.calls,
+      triangles: render.triangles,
+      points: render.points,
+      lines: render.lines,
+      geometries: memory.geometries,
+      textures: memory.textures,
+      programs: programs?.length || 0,
+    };
+    const key = Object.values(info).join(",");
+
+    lastUpdateRef.current.time = clock.elapsedTime;
+    if (key !== lastUpdateRef.current.key) {
+      lastUpdateRef.current.key = key;
+      onUpdate(info);
+    }
+  });
+
+  return null;
+}
+
 function PerformanceStatsDisplay({ stats, setStats, showStats }) {
   const statsRef = useRef(null);
 
@@ -538,13 +789,44 @@ export default function ModelScene() {
 
   const cameraRef = useRef();
   const controlsRef = useRef();
+  // The orbit camera is replaced when the projection changes, controls follow through this state
+  const [orbitCamera, setOrbitCamera] = useState(null);
+  const handleCameraRef = useCallback((camera) => {
+    cameraRef.current = camera;
+    if (camera) setOrbitCamera(camera);
+  }, []);
   const step = 0.1;
   const posStep = 0.1;
   const zoomStep = 0.1;
   const [isShow, setIsShow] = useState(true);
   const [scale, setScale] = useState(1);
   const scaleStep = 0.1;
-  const [modelUrl, setModelUrl] = useState(null);
+  const [modelSource, setModelSource] = useState(null);
+  const modelSourceRef = useRef(null);
+  const modelUrl = modelSource?.url ?? null;
+  const [loadedModel, setLoadedModel] = useState(null);
+  const [loadStatus, setLoadStatus] = useState('idle'); // 'idle' | 'loading' | 'ready' | 'error'
+  const [loadProgress, setLoadProgress] = useState({});
+  const [loadError, setLoadError] = useState(null);
+  const [fileError, setFileError] = useState(null); // { error, name } when dropped files could not be opened
+  const [urlInput, setUrlInput] = useState("");
+  const [pendingFiles, setPendingFiles] = useState(null); // { files, candidates } while picking a model
+  const [showRenderExport, setShowRenderExport] = useState(false);
+  const renderExporterRef = useRef(null);
+  // The Canvas applies its frameloop prop on every render, so an export suspends it through state
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [validation, setValidation] = useState(null); // { status: 'running' | 'done' | 'error', report, error }
+  const [selectedObjects, setSelectedObjects] = useState([]);
+  const [clipping, setClipping] = useState(createDefaultClipping);
+  const [clipHandle, setClipHandle] = useState(null); // { id, mode } of the plane or box being dragged
+  const [measureTool, setMeasureTool] = useState(null); // 'distance' | 'angle' | 'area' while measuring
+  const [measureDraft, setMeasureDraft] = useState(null); // { type, points } of the measurement being placed
+  const [measurements, setMeasurements] = useState([]);
+  const measureCountRef = useRef(0);
+  const [activeVariant, setActiveVariant] = useState(null); // KHR_materials_variants name
+  const [explode, setExplode] = useState({ amount: 0, depth: 1 });
+  // Variant linked with ?variant=, applied once the linked model has loaded
+  const pendingVariantRef = useRef(getQueryParam("variant"));
   const [isDragging, setIsDragging] = useState(false);
 
   // Update configuration state, modify default background color
@@ -553,10 +835,14 @@ export default function ModelScene() {
     background: true, // Default display background
     autoRotate: false,
     wireframe: false,
+    shading: "default",
     skeleton: false,
     grid: false,
     screenSpacePanning: true,
     pointSize: 1,
+    measureUnit: "m",
+    measureSnap: "auto",
+    projection: "perspective", // 'perspective' | 'orthographic'
     bgColor: "#2f2f2f", // Change default background color to #2f2f2f
 
     // Lighting settings
@@ -588,13 +874,22 @@ export default function ModelScene() {
   const [animations, setAnimations] = useState([]);
   const [currentAnimation, setCurrentAnimation] = useState(null);
   const [isPlaying, setIsPlaying] = useState('playing'); // 'playing' | 'paused' | 'stopped'
+  const [timeline, setTimeline] = useState(createDefaultTimeline);
+  // Time of the current clip, advanced by the model every frame
+  const playheadRef = useRef({ time: 0, direction: 1 });
+  // Weight, additive mode and whether each clip is blended in, keyed by clip name
+  const [animationLayers, setAnimationLayers] = useState({});
+  const [rootMotion, setRootMotion] = useState(createDefaultRootMotion);
+  const [modelCameraIndex, setModelCameraIndex] = useState(null); // null renders with the free orbit camera
 
   // Add controller enable state
   const [orbitControlsEnabled, setOrbitControlsEnabled] = useState(true);
 
   // Modify model loading handler function
-  const handleModelLoad = (settings, onComplete) => {
+  const handleModelLoad = (settings, onComplete, model) => {
     console.log(settings, 'settings')
+    setLoadedModel(model);
+    setLoadStatus('ready');
     if (settings?.camera) {
       setSceneSettings({
         ...sceneSettings,
@@ -630,6 +925,32 @@ export default function ModelScene() {
     }
   };
 
+  // Byte progress of the model file itself
+  const handleLoadProgress = (event) => {
+    setLoadProgress((prev) => ({
+      ...prev,
+      loaded: event.loaded,
+      total: event.lengthComputable ? event.total : 0,
+    }));
+  };
+
+  const showLoadError = (error) => {
+    setLoadError(error);
+    setLoadStatus('error');
+  };
+
+  // Files that never became a model leave the current one as it is
+  const showFileError = (error, name) => {
+    console.error(error);
+    setFileError({ error, name });
+  };
+
+  const handleLoadError = (error) => {
+    // Drop the cached failure so the same URL can be retried
+    useLoader.clear(ModelLoader, modelUrl);
+    showLoadError(error);
+  };
+
   // Camera control function
   const updateCamera = (updates) => {
     setSceneSettings(prev => {
@@ -670,37 +991,354 @@ export default function ModelScene() {
     setIsDragging(false);
   };
 
-  const handleDrop = (e) => {
+  // Replace the current model, releasing the object URLs of the previous one
+  const openModelSource = (source) => {
+    if (modelSourceRef.current) {
+      modelSourceRef.current.dispose();
+    }
+    modelSourceRef.current = source;
+    setModelSource(source);
+    setLoadedModel(null);
+    setSelectedObjects([]);
+    setClipHandle(null);
+    setMeasureDraft(null);
+    setMeasurements([]);
+    measureCountRef.current = 0;
+    setValidation(null);
+    setLoadError(null);
+    setFileError(null);
+    setLoadProgress({});
+    setLoadStatus(source ? 'loading' : 'idle');
+    setActiveVariant(null);
+    // Keep the address bar shareable for models opened from a URL
+    setQueryParams({
+      model: source?.remote ? source.link : null,
+      variant: source?.remote ? pendingVariantRef.current : null,
+    });
+
+    // Multi-file sources report how many sidecar resources have been fetched
+    if (source?.manager) {
+      source.manager.onProgress = (url, itemsLoaded, itemsTotal) => {
+        setLoadProgress((prev) => ({ ...prev, itemsLoaded, itemsTotal }));
+      };
+    }
+  };
+
+  // Unpack archives, then ask which model to open if there is more than one
+  const openFiles = async (files) => {
+    setFileError(null);
+    let expandedFiles;
+    try {
+      expandedFiles = await extractZipFiles(files);
+    } catch (error) {
+      showFileError(error, files.map((entry) => entry.path).join(", "));
+      return;
+    }
+
+    const candidates = getModelCandidates(expandedFiles.map((entry) => entry.path));
+    if (candidates.length > 1) {
+      setPendingFiles({ files: expandedFiles, candidates });
+      return;
+    }
+    openFileSet(expandedFiles, candidates[0] || null);
+  };
+
+  const openFileSet = async (files, rootPath) => {
+    let source = null;
+    try {
+      // A single file with an unknown extension may still be recognised by its header
+      source = createModelSource(files, rootPath) || (files.length === 1 ? createModelSource(files, files[0].path) : null);
+      if (!source) {
+        throw new Error(`No model file found in ${files.map((entry) => entry.path).join(", ")}`);
+      }
+
+      const format = await detectFileFormat(source.fileMap.get(source.rootPath), source.rootPath);
+      if (!format || !MODEL_FORMATS[format]) {
+        throw new Error(`Unsupported model file: ${source.rootPath}`);
+      }
+      source.format = format;
+    } catch (error) {
+      source?.dispose();
+      showFileError(error, rootPath || files.map((entry) => entry.path).join(", "));
+      return;
+    }
+    openModelSource(source);
+  };
+
+  const openModelUrl = (value) => {
+    const source = createUrlSource(value);
+    if (!source) {
+      console.warn("Invalid model URL:", value);
+      return;
+    }
+    setUrlInput(source.link);
+    openModelSource(source);
+  };
+
+  const handleUrlSubmit = (e) => {
     e.preventDefault();
-    setIsDragging(false);
+    openModelUrl(urlInput);
+  };
+
+  // Validate glTF files alongside loading them
+  useEffect(() => {
+    if (modelSource?.format !== 'gltf') return;
+
+    let cancelled = false;
+    setValidation({ status: 'running' });
+    validateModelSource(modelSource)
+      .then((report) => {
+        if (!cancelled) setValidation({ status: 'done', report });
+      })
+      .catch((error) => {
+        console.error("glTF validation failed:", error);
+        if (!cancelled) setValidation({ status: 'error', error });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [modelSource]);
+
+  const variantNames = useMemo(() => getVariantNames(loadedModel), [loadedModel]);
+
+  // Only links to remote models can be shared, local files keep the address bar clean
+  const handleVariantChange = (name) => {
+    if (modelSource?.remote) {
+      setQueryParams({ variant: name });
+    }
+    selectVariant(loadedModel, name)
+      .then(() => setActiveVariant(name))
+      .catch((error) => console.error("Could not switch material variant:", error));
+  };
+
+  // Loaded scenes are cached per URL and may still show another variant, start from the
+  // linked variant or the default materials
+  useEffect(() => {
+    if (!loadedModel) return;
+    const pending = pendingVariantRef.current;
+    pendingVariantRef.current = null;
+    if (variantNames.length > 0) {
+      handleVariantChange(variantNames.includes(pending) ? pending : null);
+    }
+  }, [loadedModel]);
 
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const file = e.dataTransfer.files[0];
-      if (file.name.toLowerCase().endsWith('.glb')) {
-        const objectUrl = URL.createObjectURL(file);
-        setModelUrl(objectUrl);
+  const hierarchyDepth = useMemo(() => (loadedModel ? getHierarchyDepth(loadedModel.scene) : 0), [loadedModel]);
+
+  useEffect(() => {
+    setExplode({ amount: 0, depth: loadedModel ? getDefaultExplodeDepth(loadedModel.scene) : 1 });
+  }, [loadedModel]);
+
+  const animationDuration = useMemo(
+    () => loadedModel?.animations?.find((clip) => clip.name === currentAnimation)?.duration || 0,
+    [loadedModel, currentAnimation]
+  );
+
+  // A new clip starts at its beginning without the in and out points of the previous one
+  useEffect(() => {
+    playheadRef.current = { time: 0, direction: 1 };
+    setTimeline((prev) => ({ ...prev, range: null }));
+  }, [loadedModel, currentAnimation]);
+
+  // Stop rewinds to the in point, and Play after a single run has ended starts it again
+  const handlePlaybackChange = (state) => {
+    const [start, end] = getPlayRange(timeline, animationDuration);
+    const playhead = playheadRef.current;
+    if (state === 'stopped' || (state === 'playing' && timeline.loop === 'once' && playhead.time >= end)) {
+      playhead.time = start;
+      playhead.direction = 1;
+    }
+    setIsPlaying(state);
+  };
+
+  useEffect(() => {
+    setAnimationLayers({});
+  }, [loadedModel]);
+
+  const bones = useMemo(() => (loadedModel ? getBones(loadedModel.scene) : []), [loadedModel]);
+
+  const modelCameras = useMemo(() => getModelCameras(loadedModel), [loadedModel]);
+  const modelCamera = modelCameras[modelCameraIndex]?.camera || null;
+
+  useEffect(() => {
+    setModelCameraIndex(null);
+  }, [loadedModel]);
+
+  // The follow camera moves the orbit camera, which a camera from the file replaces
+  const handleModelCameraChange = (index) => {
+    setModelCameraIndex(index);
+    if (index !== null) {
+      setRootMotion((prev) => ({ ...prev, follow: false }));
+    }
+  };
+
+  useEffect(() => {
+    setRootMotion(createDefaultRootMotion(loadedModel ? detectRootBone(loadedModel)?.uuid ?? null : null));
+  }, [loadedModel]);
+
+  // Play time of one pass through the in and out points, as rendered by an export
+  const getAnimationExport = () => {
+    if (!currentAnimation || animationDuration <= 0) return null;
+    const [start, end] = getPlayRange(timeline, animationDuration);
+    const passes = timeline.loop === 'pingpong' ? 2 : 1;
+    return { name: currentAnimation, length: ((end - start) / timeline.speed) * passes, loop: timeline.loop };
+  };
+
+  // Exports start the clip at its in point and leave the playhead where it was
+  const prepareAnimationExport = () => {
+    const playhead = playheadRef.current;
+    const saved = { time: playhead.time, direction: playhead.direction, isPlaying };
+    playhead.time = getPlayRange(timeline, animationDuration)[0];
+    playhead.direction = 1;
+    setIsPlaying('playing');
+    return () => {
+      playheadRef.current.time = saved.time;
+      playheadRef.current.direction = saved.direction;
+      setIsPlaying(saved.isPlaying);
+    };
+  };
+
+  const handleCrossfade = (name, duration) => {
+    modelRef.current?.crossFadeTo(name, duration);
+    setCurrentAnimation(name);
+    setIsPlaying('playing');
+  };
+
+  const hasMorphTargets = useMemo(() => {
+    let found = false;
+    loadedModel?.scene.traverse((node) => {
+      if (node.morphTargetInfluences?.length) found = true;
+    });
+    return found;
+  }, [loadedModel]);
+
+  const modelBounds = useMemo(() => (loadedModel ? getModelBounds(loadedModel.scene) : null), [loadedModel]);
+  // Bounds before the model transform, clipping and measurements are stored relative to them
+  const localBounds = useMemo(() => (loadedModel ? getLocalBounds(loadedModel.scene) : null), [loadedModel]);
+
+  // Keep the clipping of each model between visits. Saving is declared first so the
+  // clipping of the previous model is never stored under the key of the next one.
+  const clippingKey = getBookmarkKey(modelSource);
+  const clippingKeyRef = useRef(null);
+  useEffect(() => {
+    if (clippingKeyRef.current) {
+      saveClipping(clippingKeyRef.current, clipping);
+    }
+  }, [clipping]);
+
+  useEffect(() => {
+    clippingKeyRef.current = clippingKey;
+    setClipping(clippingKey ? loadClipping(clippingKey) : createDefaultClipping());
+  }, [clippingKey]);
+
+  // Select an object, or toggle it in the selection when additive (shift-click)
+  const handleSelectObject = (object, additive = false) => {
+    setSelectedObjects((prev) => {
+      if (!object) return additive ? prev : [];
+      if (additive) {
+        return prev.includes(object) ? prev.filter((item) => item !== object) : [...prev, object];
       }
+      return [object];
+    });
+  };
+
+  // Esc cancels the measurement being placed or clears the selection, Enter finishes an area.
+  // Keys typed into form fields are left alone.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.('input, select, textarea')) return;
+      if (e.key === 'Escape') {
+        if (measureDraft) {
+          setMeasureDraft(null);
+        } else {
+          setSelectedObjects([]);
+        }
+      } else if (e.key === 'Enter' && measureDraft?.type === 'area') {
+        finishMeasureDraft();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [measureDraft]); // finishMeasureDraft only reads measureDraft
+
+  const addMeasurement = (measurement) => {
+    measureCountRef.current += 1;
+    const label = `M${measureCountRef.current}`;
+    setMeasurements((prev) => [...prev, { id: THREE.MathUtils.generateUUID(), label, ...measurement }]);
+    setMeasureDraft(null);
+  };
+
+  const finishMeasureDraft = () => {
+    if (measureDraft?.type === 'area' && measureDraft.points.length > 2) {
+      addMeasurement(measureDraft);
     }
   };
 
-  // File upload handler function
+  const handleMeasureToolChange = (tool) => {
+    setMeasureTool(tool);
+    setMeasureDraft(null);
+  };
+
+  // Clicks on the model place measurement points while a tool is active and select otherwise
+  const handleModelPick = (hit, view) => {
+    if (!measureTool) {
+      handleSelectObject(hit.object, view.additive);
+      return;
+    }
+
+    // Points are kept in the model's space, so they stay on it when it is moved or scaled
+    const point = loadedModel.scene
+      .worldToLocal(new THREE.Vector3(...snapIntersection(hit, config.measureSnap, view)))
+      .toArray();
+    const tool = MEASURE_TOOLS.find((item) => item.id === measureTool);
+    const points = [...(measureDraft?.points || []), point];
+    if (points.length >= tool.points) {
+      addMeasurement({ type: tool.id, points });
+    } else {
+      setMeasureDraft({ type: tool.id, points });
+    }
+  };
+
+  const handleSelectPointer = (pointer) => {
+    const objects = findObjectsForPointer(loadedModel, pointer);
+    if (objects.length > 0) {
+      setSelectedObjects(objects);
+    }
+  };
+
+  // Open the model linked with ?model=<url>
+  useEffect(() => {
+    const modelParam = getQueryParam("model");
+    if (modelParam) {
+      openModelUrl(modelParam);
+    }
+  }, []);
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+
+    const files = await getDroppedFiles(e.dataTransfer);
+    if (files.length > 0) {
+      openFiles(files);
+    }
+  };
+
+  // File upload handler function, used by both the file and the folder picker
   const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      // Create a temporary URL
-      const objectUrl = URL.createObjectURL(file);
-      setModelUrl(objectUrl);
-
-      // Clean up previous URL
-      return () => URL.revokeObjectURL(objectUrl);
+    const files = getInputFiles(event.target.files);
+    // Allow picking the same files again
+    event.target.value = "";
+    if (files.length > 0) {
+      openFiles(files);
     }
   };
 
   const [stats, setStats] = useState(null);
+  const [rendererInfo, setRendererInfo] = useState(null);
   const controlPanelRef = useRef(null);
   const [controlPanelHeight, setControlPanelHeight] = useState(0);
   const modelRef = useRef();
-  const [progress, setProgress] = useState(0);
 
   useEffect(() => {
     if (controlPanelRef.current) {
@@ -708,24 +1346,6 @@ export default function ModelScene() {
     }
   }, []);
 
-  // Handle progress bar changes
-  const handleProgressChange = (value) => {
-    setProgress(value);
-    if (modelRef.current) {
-      modelRef.current.handleProgress(value);
-    }
-  };
-
-  // Handle mouse wheel events
-  const handleWheel = (e) => {
-    if (currentAnimation) {
-      e.preventDefault();
-      const delta = e.deltaY > 0 ? -0.01 : 0.01;
-      const newProgress = Math.max(0, Math.min(1, progress + delta));
-      handleProgressChange(newProgress);
-    }
-  };
-
   // Simplified camera rotation handler function - only controls rotation, no other automatic adjustments
   const handleCameraRotation = (rotationValues) => {
     // Disable OrbitControls to prevent interference
@@ -954,6 +1574,79 @@ export default function ModelScene() {
     console.log("Camera has been reset to observe target");
   };
 
+  // Bookmarks of the open model, items are saved under key
+  const [bookmarks, setBookmarks] = useState({ key: null, items: [] });
+  const bookmarkKey = getBookmarkKey(modelSource);
+  const [flight, setFlight] = useState(null); // { id, view } while flying to a bookmark
+  const flightDoneRef = useRef(null);
+
+  useEffect(() => {
+    if (bookmarks.key) {
+      saveBookmarks(bookmarks.key, bookmarks.items);
+    }
+  }, [bookmarks]);
+
+  useEffect(() => {
+    setBookmarks({ key: bookmarkKey, items: bookmarkKey ? loadBookmarks(bookmarkKey) : [] });
+  }, [bookmarkKey]);
+
+  const getCurrentView = () => getCameraView(cameraRef.current, controlsRef.current.target);
+
+  // Resolves with true on arrival. A new flight ends the previous one where it is.
+  // Views with another projection switch the camera first, the flight waits for the new one.
+  const flyToView = (view) => {
+    flightDoneRef.current?.(false);
+    setModelCameraIndex(null);
+    setRootMotion((prev) => ({ ...prev, follow: false }));
+    if (view.projection && view.projection !== config.projection) {
+      handleConfigChange("projection", view.projection);
+    }
+    return new Promise((resolve) => {
+      flightDoneRef.current = resolve;
+      setFlight({ id: Date.now(), view });
+    });
+  };
+
+  const orbitProjection = orbitCamera?.isOrthographicCamera ? "orthographic" : "perspective";
+  const flightReady = flight && orbitCamera && (!flight.view.projection || flight.view.projection === orbitProjection);
+
+  const handleFlightDone = (arrived) => {
+    const done = flightDoneRef.current;
+    flightDoneRef.current = null;
+    setFlight(null);
+
+    // Keep the camera state in sync, the camera props are applied again on every render
+    const camera = cameraRef.current;
+    const target = controlsRef.current.target;
+    setSceneSettings((prev) => ({
+      ...prev,
+      camera: {
+        ...prev.camera,
+        position: camera.position.toArray(),
+        target: target.toArray(),
+        rotation: [camera.rotation.x, camera.rotation.y, camera.rotation.z].map((value) => THREE.MathUtils.radToDeg(value)),
+        // fov and zoom of the settings belong to the perspective camera
+        ...(camera.isPerspectiveCamera && { fov: camera.fov, zoom: camera.zoom }),
+      },
+    }));
+    done?.(arrived);
+  };
+
+  const handleViewPreset = (direction) => {
+    flyToView(getPresetView(direction, cameraRef.current, controlsRef.current.target));
+  };
+
+  const handleProjectionChange = (projection) => {
+    setModelCameraIndex(null);
+    handleConfigChange("projection", projection);
+  };
+
+  // Size the orthographic frustum to the model whenever the projection or the model changes
+  useEffect(() => {
+    if (!orbitCamera?.isOrthographicCamera || !modelBounds) return;
+    fitOrthographicCamera(orbitCamera, modelBounds, controlsRef.current?.target || modelBounds.center);
+  }, [orbitCamera, modelBounds]);
+
   const [showCameraInfo, setShowCameraInfo] = useState(false);
   const [cameraInfo, setCameraInfo] = useState({
     position: [0, 0, 0],
@@ -981,7 +1674,7 @@ export default function ModelScene() {
 
   return (
     <div className="relative w-full h-full flex justify-center items-start bg-[#232323]">
-      <div className="w-full h-full">
+      <div className="relative w-full h-full">
         {!modelUrl ? (
           // Display upload area when no model is loaded
           <div
@@ -994,22 +1687,36 @@ export default function ModelScene() {
               <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 text-white/30 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
               </svg>
-              <p className="text-white/60 text-lg mb-2">Drag GLB file here</p>
+              <p className="text-white/60 text-lg mb-2">Drag model files or a folder here</p>
+              <p className="text-white/30 text-xs mb-2">glTF, GLB, OBJ, FBX, STL, PLY, USDZ or a ZIP package</p>
               <p className="text-white/40 text-sm mb-4">or</p>
-              <label className="px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.7)] text-sm cursor-pointer hover:bg-[rgba(255,255,255,0.1)] transition-all duration-200">
-                Choose File
-                <input
-                  type="file"
-                  accept=".glb"
-                  onChange={handleFileUpload}
-                  className="hidden"
-                />
-              </label>
+              <div className="flex gap-2">
+                <label className="px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.7)] text-sm cursor-pointer hover:bg-[rgba(255,255,255,0.1)] transition-all duration-200">
+                  Choose Files
+                  <input
+                    type="file"
+                    accept={MODEL_FILE_ACCEPT}
+                    multiple
+                    onChange={handleFileUpload}
+                    className="hidden"
+                  />
+                </label>
+                <label className="px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.7)] text-sm cursor-pointer hover:bg-[rgba(255,255,255,0.1)] transition-all duration-200">
+                  Choose Folder
+                  <input
+                    type="file"
+                    webkitdirectory=""
+                    onChange={handleFileUpload}
+                    className="hidden"
+                  />
+                </label>
+              </div>
             </div>
           </div>
         ) : (
           // 当有模型时显示 Canvas
           <Canvas
+            frameloop={isCapturing ? 'never' : 'always'}
             shadows={config.shadows}
             gl={{
               preserveDrawingBuffer: true,
@@ -1017,9 +1724,11 @@ export default function ModelScene() {
               outputColorSpace: THREE.SRGBColorSpace,
               antialias: true,
               alpha: true,
+              stencil: true, // Section plane caps
             }}
             className="bg-[#121316]"
             onCreated={({ gl, scene }) => {
+              gl.localClippingEnabled = true;
               gl.outputColorSpace = THREE.SRGBColorSpace;
               gl.physicallyCorrectLights = config.punctualLights;
               gl.toneMappingExposure = Math.pow(2, config.exposure);
@@ -1039,72 +1748,190 @@ export default function ModelScene() {
               roomEnvironment.dispose();
             }}
           >
-            <Suspense fallback={null}>
-              <Scene config={config} />
-              <PerformanceStatsUpdater stats={stats} />
-              <PerspectiveCamera
-                ref={cameraRef}
-                makeDefault
-                position={sceneSettings.camera.position}
-                rotation={
-                  sceneSettings.camera.rotation?.map((r) =>
-                    THREE.MathUtils.degToRad(r)
-                  ) || [0, 0, 0]
-                }
-                fov={sceneSettings.camera.fov}
-                near={sceneSettings.camera.near}
-                far={sceneSettings.camera.far}
-                zoom={sceneSettings.camera.zoom}
-              />
-
-              <ambientLight
-                intensity={config.ambientIntensity}
-                color={config.ambientColor}
-              />
-              <directionalLight
-                position={[1, 2, -1]}
-                intensity={config.directIntensity}
-                color={config.directColor}
-                castShadow={config.shadows}
-              />
-
-              <Model
-                ref={modelRef}
-                rotationX={rotation.x}
-                rotationY={rotation.y}
-                rotationZ={rotation.z}
-                scale={scale}
-                position={[position.x, position.y, position.z]}
-                config={config}
-                onLoad={handleModelLoad}
-                modelUrl={modelUrl}
-                currentAnimation={currentAnimation}
-                isPlaying={isPlaying}
-                onAnimationChange={setCurrentAnimation}
-                onPlayingChange={setIsPlaying}
-              />
-
-              <OrbitControls
-                ref={controlsRef}
-                camera={cameraRef.current}
-                enablePan={orbitControlsEnabled}
-                enableZoom={orbitControlsEnabled}
-                enableRotate={orbitControlsEnabled && !config.kiosk}
-                autoRotate={config.autoRotate && orbitControlsEnabled}
-                screenSpacePanning={config.screenSpacePanning}
-                minDistance={5}
-                maxDistance={10}
-                dampingFactor={0.05}
-                rotateSpeed={0.5}
-                up={[0, 1, 0]}
-                enableDamping={orbitControlsEnabled}
-                target={new THREE.Vector3(...sceneSettings.camera.target)}
-              />
-            </Suspense>
+            <ModelErrorBoundary key={modelUrl} onError={handleLoadError}>
+              <Suspense fallback={null}>
+                <Scene config={config} />
+                <PerformanceStatsUpdater stats={stats} />
+                <RendererInfoProbe onUpdate={setRendererInfo} />
+                <RenderExporter ref={renderExporterRef} onCapturingChange={setIsCapturing} />
+                {modelCamera && <ModelCameraView model={loadedModel} camera={modelCamera} />}
+                <SelectionHighlight objects={selectedObjects} />
+                {loadedModel && config.shading !== "default" && (
+                  <DebugShading
+                    key={loadedModel.scene.uuid}
+                    scene={loadedModel.scene}
+                    mode={config.shading}
+                    wireframe={config.wireframe}
+                    animating={isPlaying === 'playing' && !!currentAnimation}
+                  />
+                )}
+                {loadedModel && localBounds && (
+                  <SectionPlanes
+                    key={loadedModel.scene.uuid}
+                    scene={loadedModel.scene}
+                    bounds={localBounds}
+                    clipping={clipping}
+                    shading={config.shading}
+                    handle={clipHandle}
+                    onChange={setClipping}
+                  />
+                )}
+                {loadedModel && (
+                  <ExplodedView
+                    key={loadedModel.scene.uuid}
+                    scene={loadedModel.scene}
+                    amount={explode.amount}
+                    depth={explode.depth}
+                  />
+                )}
+                {loadedModel && localBounds && (
+                  <MeasureOverlay
+                    root={loadedModel.scene}
+                    measurements={measurements}
+                    draft={measureDraft}
+                    unit={config.measureUnit}
+                    pointSize={localBounds.size.length() * 0.004}
+                  />
+                )}
+                {config.projection === "orthographic" ? (
+                  // Zoom, near and far are fitted to the model, see fitOrthographicCamera
+                  <OrthographicCamera
+                    ref={handleCameraRef}
+                    makeDefault
+                    position={sceneSettings.camera.position}
+                    rotation={
+                      sceneSettings.camera.rotation?.map((r) =>
+                        THREE.MathUtils.degToRad(r)
+                      ) || [0, 0, 0]
+                    }
+                  />
+                ) : (
+                  <PerspectiveCamera
+                    ref={handleCameraRef}
+                    makeDefault
+                    position={sceneSettings.camera.position}
+                    rotation={
+                      sceneSettings.camera.rotation?.map((r) =>
+                        THREE.MathUtils.degToRad(r)
+                      ) || [0, 0, 0]
+                    }
+                    fov={sceneSettings.camera.fov}
+                    near={sceneSettings.camera.near}
+                    far={sceneSettings.camera.far}
+                    zoom={sceneSettings.camera.zoom}
+                  />
+                )}
+
+                <ambientLight
+                  intensity={config.ambientIntensity}
+                  color={config.ambientColor}
+                />
+                <directionalLight
+                  position={[1, 2, -1]}
+                  intensity={config.directIntensity}
+                  color={config.directColor}
+                  castShadow={config.shadows}
+                />
+
+                <Model
+                  ref={modelRef}
+                  rotationX={rotation.x}
+                  rotationY={rotation.y}
+                  rotationZ={rotation.z}
+                  scale={scale}
+                  position={[position.x, position.y, position.z]}
+                  config={config}
+                  onLoad={handleModelLoad}
+                  onProgress={handleLoadProgress}
+                  modelUrl={modelUrl}
+                  format={modelSource?.format}
+                  manager={modelSource?.manager}
+                  currentAnimation={currentAnimation}
+                  isPlaying={isPlaying}
+                  onAnimationChange={setCurrentAnimation}
+                  onPlayingChange={setIsPlaying}
+                  timeline={timeline}
+                  playheadRef={playheadRef}
+                  layers={animationLayers}
+                  rootMotion={rootMotion}
+                  onPick={handleModelPick}
+                />
+
+                {flightReady && (
+                  <CameraFlight
+                    key={flight.id}
+                    camera={orbitCamera}
+                    controls={controlsRef.current}
+                    view={flight.view}
+                    onDone={handleFlightDone}
+                  />
+                )}
+
+                <OrbitControls
+                  ref={controlsRef}
+                  makeDefault
+                  camera={orbitCamera || undefined}
+                  enablePan={orbitControlsEnabled}
+                  enableZoom={orbitControlsEnabled}
+                  enableRotate={orbitControlsEnabled && !config.kiosk}
+                  autoRotate={config.autoRotate && orbitControlsEnabled}
+                  screenSpacePanning={config.screenSpacePanning}
+                  minDistance={5}
+                  maxDistance={10}
+                  dampingFactor={0.05}
+                  rotateSpeed={0.5}
+                  up={[0, 1, 0]}
+                  enableDamping={orbitControlsEnabled}
+                  target={new THREE.Vector3(...sceneSettings.camera.target)}
+                />
+              </Suspense>
+            </ModelErrorBoundary>
           </Canvas>
         )}
+
+        {loadedModel && !showRenderExport && <ViewCube cameraRef={cameraRef} onSelect={handleViewPreset} />}
       </div>
 
+      {loadStatus === 'loading' && <LoadingOverlay progress={loadProgress} />}
+
+      {pendingFiles && (
+        <ModelPickerDialog
+          paths={pendingFiles.candidates}
+          onPick={(path) => {
+            setPendingFiles(null);
+            openFileSet(pendingFiles.files, path);
+          }}
+          onCancel={() => setPendingFiles(null)}
+        />
+      )}
+
+      {showRenderExport && (
+        <RenderExportDialog
+          exporterRef={renderExporterRef}
+          modelName={modelSource?.name}
+          animation={getAnimationExport()}
+          onPrepareAnimation={prepareAnimationExport}
+          onClose={() => setShowRenderExport(false)}
+        />
+      )}
+
+      {fileError ? (
+        <LoadErrorOverlay
+          error={fileError.error}
+          name={fileError.name}
+          onFileUpload={handleFileUpload}
+          onDismiss={() => setFileError(null)}
+        />
+      ) : loadStatus === 'error' && (
+        <LoadErrorOverlay
+          error={loadError}
+          name={modelSource?.name}
+          isRemote={modelSource?.remote}
+          onFileUpload={handleFileUpload}
+          onDismiss={() => openModelSource(null)}
+        />
+      )}
+
       <motion.div
         initial={false}
         animate={{
@@ -1123,23 +1950,58 @@ export default function ModelScene() {
           {/* Top fixed area */}
           <div className="w-full p-4 border-b border-white/5">
             <div className="space-y-2 mt-2">
-              <label className="flex flex-col items-center px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.5)] text-[11px] text-white cursor-pointer hover:bg-[rgba(255,255,255,0.03)]">
-                <span>Choose File</span>
+              <div className="flex gap-2">
+                <label className="flex-1 flex flex-col items-center px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.5)] text-[11px] text-white cursor-pointer hover:bg-[rgba(255,255,255,0.03)]">
+                  <span>Choose File</span>
+                  <input
+                    type="file"
+                    accept={MODEL_FILE_ACCEPT}
+                    multiple
+                    onChange={handleFileUpload}
+                    className="hidden"
+                  />
+                </label>
+                <label className="flex-1 flex flex-col items-center px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.5)] text-[11px] text-white cursor-pointer hover:bg-[rgba(255,255,255,0.03)]">
+                  <span>Choose Folder</span>
+                  <input
+                    type="file"
+                    webkitdirectory=""
+                    onChange={handleFileUpload}
+                    className="hidden"
+                  />
+                </label>
+              </div>
+              <form onSubmit={handleUrlSubmit} className="flex gap-2">
                 <input
-                  type="file"
-                  accept=".glb"
-                  onChange={handleFileUpload}
-                  className="hidden"
+                  type="text"
+                  value={urlInput}
+                  onChange={(e) => setUrlInput(e.target.value)}
+                  placeholder="https://... or /models/scene.glb"
+                  className="flex-1 min-w-0 py-1 px-2 text-[11px] rounded-lg bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
                 />
-              </label>
+                <button
+                  type="submit"
+                  className="px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white"
+                >
+                  Load URL
+                </button>
+              </form>
               {modelUrl && (
                 <button
-                  onClick={() => setModelUrl(null)}
+                  onClick={() => openModelSource(null)}
                   className="w-full mt-2 px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.5)] text-[11px] hover:bg-[rgba(255,0,0,0.2)]"
                 >
                   Remove Model
                 </button>
               )}
+              {modelUrl && (
+                <button
+                  onClick={() => setShowRenderExport(true)}
+                  className="w-full px-4 py-2 bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.5)] text-[11px] hover:bg-[rgb(43,153,255)] hover:text-white"
+                >
+                  Export Video / Frames…
+                </button>
+              )}
             </div>
           </div>
 
@@ -1214,12 +2076,186 @@ export default function ModelScene() {
                   step={0.1}
                 />
               </div>
+
+              {/* Exploded view of assemblies */}
+              {hierarchyDepth > 0 && (
+                <>
+                  <div className="w-full flex gap-1 mt-2">
+                    <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">Explode</div>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      value={explode.amount}
+                      onChange={(e) => setExplode((prev) => ({ ...prev, amount: parseFloat(e.target.value) }))}
+                      className="flex-1 min-w-0"
+                    />
+                  </div>
+                  <div className="w-full flex gap-1 mt-2">
+                    <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">Explode Depth</div>
+                    <select
+                      value={explode.depth}
+                      onChange={(e) => setExplode((prev) => ({ ...prev, depth: parseInt(e.target.value) }))}
+                      className="flex-1 w-full py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+                    >
+                      {Array.from({ length: hierarchyDepth }, (_, index) => (
+                        <option key={index} value={index + 1}>
+                          Level {index + 1}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </>
+              )}
+
+              {/* KHR_materials_variants */}
+              {variantNames.length > 0 && (
+                <div className="w-full flex gap-1 mt-2">
+                  <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">Variant</div>
+                  <select
+                    value={activeVariant ?? ""}
+                    onChange={(e) => handleVariantChange(e.target.value || null)}
+                    className="flex-1 w-full py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+                  >
+                    <option value="">Default</option>
+                    {variantNames.map((name) => (
+                      <option key={name} value={name}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {/* Compression extensions used by the loaded file */}
+              {loadedModel && (
+                <div className="w-full flex gap-1 mt-2">
+                  <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">Compression</div>
+                  <div className="flex flex-1 flex-wrap gap-1">
+                    {getCompressionExtensions(loadedModel).length > 0 ? (
+                      getCompressionExtensions(loadedModel).map((name) => (
+                        <span key={name} className="px-2 py-1 bg-[rgba(255,255,255,0.05)] rounded-lg text-[11px] leading-4 text-[rgb(43,153,255)]">
+                          {name}
+                        </span>
+                      ))
+                    ) : (
+                      <span className="py-1 text-[11px] leading-4 text-[rgba(255,255,255,0.4)]">None</span>
+                    )}
+                  </div>
+                </div>
+              )}
             </div>
 
+            {/* Scene graph outliner */}
+            {loadedModel && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Scene</h3>
+                <SceneOutliner
+                  key={loadedModel.scene.uuid}
+                  scene={loadedModel.scene}
+                  selectedObjects={selectedObjects}
+                  onSelect={handleSelectObject}
+                />
+              </div>
+            )}
+
+            {/* Properties of the selected objects */}
+            {loadedModel && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Selection</h3>
+                <SelectionInspector objects={selectedObjects} root={loadedModel.scene} />
+              </div>
+            )}
+
+            {/* Material inspector and editor */}
+            {loadedModel && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Materials</h3>
+                <MaterialEditor
+                  key={`${loadedModel.scene.uuid}-${activeVariant}`}
+                  model={loadedModel}
+                  selectedObjects={selectedObjects}
+                />
+              </div>
+            )}
+
+            {/* Morph targets */}
+            {hasMorphTargets && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Morph Targets</h3>
+                <MorphTargetPanel key={loadedModel.scene.uuid} model={loadedModel} />
+              </div>
+            )}
+
+            {/* Texture browser */}
+            {loadedModel && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Textures</h3>
+                <TextureBrowser
+                  key={`${loadedModel.scene.uuid}-${activeVariant}`}
+                  model={loadedModel}
+                  selectedObjects={selectedObjects}
+                />
+              </div>
+            )}
+
+            {/* glTF validation report */}
+            {modelSource?.format === 'gltf' && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Validation</h3>
+                <ValidationPanel validation={validation} onSelectPointer={handleSelectPointer} />
+              </div>
+            )}
+
             {/* Camera control */}
             <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
               <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Camera</h3>
               <div className="w-full flex flex-col gap-1">
+                {/* Cameras authored in the file */}
+                {modelCameras.length > 0 && (
+                  <div className="w-full flex gap-1 mb-1">
+                    <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">View</div>
+                    <select
+                      value={modelCameraIndex ?? ''}
+                      onChange={(e) => handleModelCameraChange(e.target.value === '' ? null : parseInt(e.target.value, 10))}
+                      className="flex-1 w-full py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+                    >
+                      <option value="">Free Orbit</option>
+                      {modelCameras.map((item, index) => (
+                        <option key={item.camera.uuid} value={index}>
+                          {item.name}{item.type === 'orthographic' ? ' (Orthographic)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div className="w-full flex gap-1">
+                  <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">Projection</div>
+                  <select
+                    value={config.projection}
+                    onChange={(e) => handleProjectionChange(e.target.value)}
+                    className="flex-1 w-full py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+                  >
+                    {PROJECTIONS.map((item) => (
+                      <option key={item.id} value={item.id}>{item.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Standard views around the orbit target */}
+                <div className="w-full grid grid-cols-4 gap-1 mb-1">
+                  {VIEW_PRESETS.map((preset) => (
+                    <button
+                      key={preset.id}
+                      onClick={() => handleViewPreset(preset.direction)}
+                      className="px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white"
+                    >
+                      {preset.label}
+                    </button>
+                  ))}
+                </div>
                 <div className="w-full flex gap-1">
                   <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">Position</div>
                   <NumericInput
@@ -1343,6 +2379,20 @@ export default function ModelScene() {
               </div>
             </div>
 
+            {/* Camera bookmarks */}
+            {modelUrl && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Bookmarks</h3>
+                <BookmarksPanel
+                  bookmarks={bookmarks.items}
+                  onChange={(items) => setBookmarks((prev) => ({ ...prev, items }))}
+                  getCurrentView={getCurrentView}
+                  onFly={flyToView}
+                  modelName={modelSource?.name}
+                />
+              </div>
+            )}
+
             {/* Debug toggle */}
             <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
               <label className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap">
@@ -1474,10 +2524,60 @@ export default function ModelScene() {
               </div>
             </div>
 
+            {/* Measurement tools */}
+            {loadedModel && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Measure</h3>
+                <MeasurePanel
+                  tool={measureTool}
+                  onToolChange={handleMeasureToolChange}
+                  unit={config.measureUnit}
+                  onUnitChange={(value) => handleConfigChange("measureUnit", value)}
+                  snap={config.measureSnap}
+                  onSnapChange={(value) => handleConfigChange("measureSnap", value)}
+                  measurements={measurements}
+                  onMeasurementsChange={setMeasurements}
+                  draft={measureDraft}
+                  onFinishDraft={finishMeasureDraft}
+                  bounds={localBounds}
+                  modelName={modelSource?.name}
+                />
+              </div>
+            )}
+
+            {/* Section planes and box clip */}
+            {loadedModel && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Clipping</h3>
+                <ClippingPanel
+                  clipping={clipping}
+                  onChange={setClipping}
+                  handle={clipHandle}
+                  onHandleChange={setClipHandle}
+                  bounds={localBounds}
+                />
+              </div>
+            )}
+
             {/* Display settings */}
             <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
               <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Display</h3>
               <div className="w-full flex flex-col gap-1">
+                <div className="flex mb-2">
+                  <div className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">Shading</div>
+                  <select
+                    value={config.shading}
+                    onChange={(e) => handleConfigChange("shading", e.target.value)}
+                    className="flex-1 w-full py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+                  >
+                    {SHADING_MODES.map((mode) => (
+                      <option key={mode.id} value={mode.id}>
+                        {mode.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 <div className="space-y-2">
                   <label className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap">
                     <input
@@ -1594,6 +2694,15 @@ export default function ModelScene() {
                   showStats={config.showStats}
                 />
               </div>
+              {loadedModel && (
+                <div className="w-full mt-3">
+                  <ModelStatsPanel
+                    model={loadedModel}
+                    name={modelSource?.name}
+                    rendererInfo={rendererInfo}
+                  />
+                </div>
+              )}
             </div>
 
             {/* Animation control */}
@@ -1624,7 +2733,7 @@ export default function ModelScene() {
                     {currentAnimation && (
                       <div className="flex gap-2 mt-2">
                         <button
-                          onClick={() => setIsPlaying('playing')}
+                          onClick={() => handlePlaybackChange('playing')}
                           className={`flex-1 px-2 py-1 h-6 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 relative flex w-full justify-center items-center ${isPlaying === 'playing'
                             ? 'bg-[rgb(43,153,255)] text-white'
                             : 'hover:bg-[rgb(43,153,255)] hover:text-white'
@@ -1633,7 +2742,7 @@ export default function ModelScene() {
                           Play
                         </button>
                         <button
-                          onClick={() => setIsPlaying('paused')}
+                          onClick={() => handlePlaybackChange('paused')}
                           className={`flex-1 px-2 py-1 h-6 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 relative flex w-full justify-center items-center ${isPlaying === 'paused'
                             ? 'bg-[rgb(43,153,255)] text-white'
                             : 'hover:bg-[rgb(43,153,255)] hover:text-white'
@@ -1642,7 +2751,7 @@ export default function ModelScene() {
                           Pause
                         </button>
                         <button
-                          onClick={() => setIsPlaying('stopped')}
+                          onClick={() => handlePlaybackChange('stopped')}
                           className={`flex-1 px-2 py-1 h-6 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 relative flex w-full justify-center items-center ${isPlaying === 'stopped'
                             ? 'bg-[rgb(43,153,255)] text-white'
                             : 'hover:bg-[rgb(43,153,255)] hover:text-white'
@@ -1654,28 +2763,38 @@ export default function ModelScene() {
                     )}
                   </div>
 
-                  {/* Add progress control */}
+                  {/* Timeline */}
                   {currentAnimation && (
-                    <div className="flex items-center"
-                      onWheel={handleWheel}
-                    >
-                      <input
-                        type="range"
-                        min="0"
-                        max="1"
-                        step="0.001"
-                        value={progress}
-                        onChange={(e) => handleProgressChange(parseFloat(e.target.value))}
-                        className="w-full"
-                      />
-                      <div className="text-sm text-gray-500 text-center min-w-[80px]">
-                        {(progress * 100).toFixed(1)}%
-                      </div>
-                    </div>
+                    <AnimationTimeline
+                      playheadRef={playheadRef}
+                      duration={animationDuration}
+                      timeline={timeline}
+                      onTimelineChange={setTimeline}
+                      onPlayingChange={handlePlaybackChange}
+                    />
+                  )}
+
+                  {/* Root motion of skinned characters */}
+                  {bones.length > 0 && (
+                    <RootMotionPanel bones={bones} rootMotion={rootMotion} onChange={setRootMotion} />
                   )}
                 </div>
               </div>
             )}
+
+            {/* Animation mixer */}
+            {animations.length > 1 && (
+              <div className="p-4 text-[rgba(255,255,255,0.6)] hover:bg-[rgba(255,255,255,0.03)] border-b border-[rgba(255,255,255,0.05)] last:border-b-0 relative">
+                <h3 className="mb-3 font-semibold leading-4 tracking-[.01em] text-[rgba(255,255,255,0.9)] text-[11px]">Animation Mixer</h3>
+                <AnimationMixer
+                  animations={animations}
+                  currentAnimation={currentAnimation}
+                  layers={animationLayers}
+                  onLayersChange={setAnimationLayers}
+                  onCrossfade={handleCrossfade}
+                />
+              </div>
+            )}
           </div>
         </div>
       </motion.div>
@@ -0,0 +1,89 @@
+"use client";
+
+import { useMemo } from "react";
+import { computeModelStats } from "../utils/modelStats";
+import { formatBytes } from "../utils/format";
+import { downloadJSON, getExportName } from "../utils/download";
+
+function StatRow({ label, value }) {
+  return (
+    <div className="flex justify-between text-[11px] leading-5">
+      <span className="text-[rgba(255,255,255,0.6)]">{label}</span>
+      <span className="text-[rgba(255,255,255,0.9)] tabular-nums">{value}</span>
+    </div>
+  );
+}
+
+const formatCount = (value) => value.toLocaleString();
+
+// Asset budget figures for the loaded model plus live renderer counters
+export default function ModelStatsPanel({ model, name, rendererInfo }) {
+  const stats = useMemo(() => computeModelStats(model), [model]);
+
+  const handleExport = () => {
+    downloadJSON({ file: name, ...stats, renderer: rendererInfo }, `${getExportName(name, "stats")}.json`);
+  };
+
+  return (
+    <div className="w-full flex flex-col gap-2">
+      <div>
+        <StatRow label="Meshes" value={formatCount(stats.meshes)} />
+        <StatRow label="Primitives" value={formatCount(stats.primitives)} />
+        <StatRow label="Triangles" value={formatCount(stats.triangles)} />
+        <StatRow label="Vertices" value={formatCount(stats.vertices)} />
+        {stats.points > 0 && <StatRow label="Points" value={formatCount(stats.points)} />}
+        <StatRow label="Materials" value={formatCount(stats.materials)} />
+        <StatRow label="Textures" value={formatCount(stats.textures.length)} />
+        <StatRow label="Skins" value={formatCount(stats.skins)} />
+        <StatRow
+          label="Morph Targets"
+          value={`${formatCount(stats.morphTargets)} in ${formatCount(stats.morphMeshes)} meshes`}
+        />
+        <StatRow label="Animations" value={formatCount(stats.animations.length)} />
+      </div>
+
+      <div className="pt-2 border-t border-white/5">
+        <StatRow label="Geometry Memory" value={formatBytes(stats.memory.geometry)} />
+        <StatRow label="Texture Memory" value={formatBytes(stats.memory.textures)} />
+        <StatRow label="Estimated Total" value={formatBytes(stats.memory.total)} />
+      </div>
+
+      {rendererInfo && (
+        <div className="pt-2 border-t border-white/5">
+          <StatRow label="Draw Calls" value={formatCount(rendererInfo.calls)} />
+          <StatRow label="Rendered Triangles" value={formatCount(rendererInfo.triangles)} />
+          <StatRow label="GPU Geometries" value={formatCount(rendererInfo.geometries)} />
+          <StatRow label="GPU Textures" value={formatCount(rendererInfo.textures)} />
+          <StatRow label="Shader Programs" value={formatCount(rendererInfo.programs)} />
+        </div>
+      )}
+
+      {stats.textures.length > 0 && (
+        <details className="pt-2 border-t border-white/5 text-[11px]">
+          <summary className="cursor-pointer text-[rgba(255,255,255,0.6)] hover:text-white">
+            Texture Details
+          </summary>
+          <div className="mt-1 space-y-1">
+            {stats.textures.map((texture, index) => (
+              <div key={index} className="p-2 rounded bg-[rgba(255,255,255,0.03)]">
+                <div className="truncate text-[rgba(255,255,255,0.9)]" title={texture.name}>{texture.name}</div>
+                <div className="flex justify-between text-[rgba(255,255,255,0.5)]">
+                  <span>{texture.width} × {texture.height} · {texture.format}</span>
+                  <span>{formatBytes(texture.bytes)}</span>
+                </div>
+                <div className="truncate text-[rgba(255,255,255,0.4)]">{texture.slots.join(", ")}</div>
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+
+      <button
+        onClick={handleExport}
+        className="w-full px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white"
+      >
+        Export Statistics (JSON)
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { getNodeLabel } from "./SceneOutliner";
+
+// Meshes with morph targets. Primitives of one glTF mesh are separate three.js meshes
+// sharing the targets, so they are grouped and edited together.
+function collectMorphGroups(model) {
+  const associations = model.parser?.associations;
+  const groups = new Map();
+  model.scene.traverse((node) => {
+    if (!node.morphTargetInfluences?.length) return;
+    const meshIndex = associations?.get(node)?.meshes;
+    const key = meshIndex !== undefined ? `mesh-${meshIndex}` : node.uuid;
+    if (!groups.has(key)) {
+      const names = [];
+      Object.entries(node.morphTargetDictionary || {}).forEach(([name, index]) => {
+        names[index] = name;
+      });
+      groups.set(key, {
+        key,
+        name: getNodeLabel(node),
+        targets: node.morphTargetInfluences.map((_, index) => names[index] || `Target ${index}`),
+        // Default weights of the glTF mesh, used by Reset
+        weights: node.morphTargetInfluences.map(
+          (_, index) => model.parser?.json.meshes?.[meshIndex]?.weights?.[index] ?? 0
+        ),
+        meshes: [],
+      });
+    }
+    groups.get(key).meshes.push(node);
+  });
+  // A glTF mesh with several primitives is loaded as a group of meshes
+  groups.forEach((group) => {
+    if (group.meshes.length > 1 && group.meshes[0].parent) {
+      group.name = getNodeLabel(group.meshes[0].parent);
+    }
+  });
+  return Array.from(groups.values());
+}
+
+// Sliders for every morph target of the scene. Influences are polled so the sliders follow
+// animation clips that drive them.
+export default function MorphTargetPanel({ model }) {
+  const groups = useMemo(() => collectMorphGroups(model), [model]);
+  const [solo, setSolo] = useState(null); // { key, index, saved } while previewing one target
+  const [, setVersion] = useState(0);
+  const lastValuesRef = useRef("");
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const values = groups.map((group) => group.meshes[0].morphTargetInfluences.join(",")).join(";");
+      if (values !== lastValuesRef.current) {
+        lastValuesRef.current = values;
+        setVersion((version) => version + 1);
+      }
+    }, 100);
+    return () => clearInterval(interval);
+  }, [groups]);
+
+  if (groups.length === 0) {
+    return <div className="text-[11px] text-[rgba(255,255,255,0.4)]">No morph targets</div>;
+  }
+
+  const setInfluences = (group, values) => {
+    group.meshes.forEach((mesh) => {
+      values.forEach((value, index) => {
+        mesh.morphTargetInfluences[index] = value;
+      });
+    });
+    setVersion((version) => version + 1);
+  };
+
+  const setInfluence = (group, index, value) => {
+    const values = [...group.meshes[0].morphTargetInfluences];
+    values[index] = value;
+    setInfluences(group, values);
+  };
+
+  const toggleSolo = (group, index) => {
+    const previous = solo;
+    if (previous) {
+      const previousGroup = groups.find((item) => item.key === previous.key);
+      setInfluences(previousGroup, previous.saved);
+    }
+    if (previous?.key === group.key && previous.index === index) {
+      setSolo(null);
+      return;
+    }
+    const saved = [...group.meshes[0].morphTargetInfluences];
+    setInfluences(group, saved.map((_, target) => (target === index ? 1 : 0)));
+    setSolo({ key: group.key, index, saved });
+  };
+
+  const resetGroup = (group) => {
+    if (solo?.key === group.key) setSolo(null);
+    setInfluences(group, group.weights);
+  };
+
+  return (
+    <div className="w-full flex flex-col gap-2 text-[11px]">
+      {groups.map((group) => (
+        <details key={group.key} open={groups.length === 1}>
+          <summary className="cursor-pointer text-[rgba(255,255,255,0.6)] hover:text-white">
+            {group.name} ({group.targets.length})
+          </summary>
+          <div className="mt-1 flex flex-col gap-1">
+            {group.targets.map((name, index) => {
+              const value = group.meshes[0].morphTargetInfluences[index];
+              const isSolo = solo?.key === group.key && solo.index === index;
+              return (
+                <div key={index} className="flex items-center gap-2">
+                  <span className="w-[80px] shrink-0 truncate text-[rgba(255,255,255,0.6)]" title={name}>{name}</span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={value}
+                    onChange={(e) => setInfluence(group, index, parseFloat(e.target.value))}
+                    className="flex-1 min-w-0"
+                  />
+                  <span className="w-8 text-right text-[rgba(255,255,255,0.9)] tabular-nums">{value.toFixed(2)}</span>
+                  <button
+                    onClick={() => toggleSolo(group, index)}
+                    title="Preview this target alone"
+                    className={`px-1 rounded text-[10px] ${isSolo ? "bg-[rgb(43,153,255)] text-white" : "bg-[rgba(255,255,255,0.05)] text-[rgba(255,255,255,0.6)] hover:text-white"}`}
+                  >
+                    S
+                  </button>
+                </div>
+              );
+            })}
+            <button
+              onClick={() => resetGroup(group)}
+              className="w-full px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white"
+            >
+              Reset
+            </button>
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+}
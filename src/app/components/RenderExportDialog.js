@@ -0,0 +1,210 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { motion } from "framer-motion";
+import {
+  EXPORT_FORMATS,
+  EXPORT_FRAME_RATES,
+  EXPORT_RESOLUTIONS,
+  createFrameWriter,
+  getExportExtension,
+  getVideoMimeType,
+} from "../utils/renderExport";
+import { downloadBlob, getExportName } from "../utils/download";
+
+const buttonClass =
+  "px-3 py-2 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.7)] hover:bg-[rgb(43,153,255)] hover:text-white disabled:opacity-40 disabled:pointer-events-none";
+const activeButtonClass = "px-3 py-2 text-[11px] rounded-lg bg-[rgb(43,153,255)] text-white";
+const inputClass =
+  "w-full py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]";
+const labelClass = "flex flex-col gap-1 text-[11px] text-[rgba(255,255,255,0.6)]";
+
+// Settings and progress of a video or image sequence export. animation describes the current
+// clip as { name, length, loop }, where length is the play time of one pass in seconds.
+export default function RenderExportDialog({ exporterRef, modelName, animation, onPrepareAnimation, onClose }) {
+  const [source, setSource] = useState(animation ? "animation" : "turntable");
+  const [format, setFormat] = useState(getVideoMimeType() ? "webm" : "png");
+  const [resolution, setResolution] = useState("1080p");
+  const [fps, setFps] = useState(30);
+  const [turntableDuration, setTurntableDuration] = useState(6);
+  const [transparent, setTransparent] = useState(false);
+  const [progress, setProgress] = useState(null); // { frame, frames } while exporting
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const { width, height } = EXPORT_RESOLUTIONS.find((item) => item.id === resolution);
+  const frames =
+    source === "animation"
+      ? Math.max(1, Math.round(animation.length * fps) + (animation.loop === "once" ? 1 : 0))
+      : Math.max(1, Math.round(turntableDuration * fps));
+  const isExporting = progress !== null;
+
+  const handleExport = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress({ frame: 0, frames });
+
+    const name = getExportName(modelName, source === "animation" ? animation.name : "turntable");
+    try {
+      const writer = createFrameWriter(format, { fps, name });
+      await exporterRef.current.capture({
+        width,
+        height,
+        fps,
+        frames,
+        transparent: format === "png" && transparent,
+        turntable: source === "turntable",
+        prepare: source === "animation" ? onPrepareAnimation : undefined,
+        signal: controller.signal,
+        onFrame: async (frame, canvas) => {
+          await writer.addFrame(canvas);
+          setProgress({ frame: frame + 1, frames });
+        },
+      });
+      const blob = await writer.finish();
+      if (!controller.signal.aborted) {
+        downloadBlob(blob, `${name}.${getExportExtension(format)}`);
+      }
+    } catch (e) {
+      console.error("Render export failed:", e);
+      setError(e.message);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleClose = () => {
+    if (isExporting) {
+      abortRef.current?.abort();
+      return;
+    }
+    onClose();
+  };
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black/60 z-40" onClick={handleClose} />
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="fixed top-1/2 left-1/2 !-translate-x-1/2 !-translate-y-1/2 z-50 bg-[#121316] p-6 rounded-xl shadow-lg border border-white/5 text-white max-w-md w-full m-4"
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">Export Render</h3>
+          <button onClick={handleClose} className="text-white/50 hover:text-white">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M18 6L6 18M6 6L18 18" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="space-y-3">
+          <div className="flex gap-2">
+            <button
+              onClick={() => setSource("animation")}
+              disabled={!animation || isExporting}
+              className={`flex-1 ${source === "animation" ? activeButtonClass : buttonClass}`}
+            >
+              Animation{animation ? `: ${animation.name}` : ""}
+            </button>
+            <button
+              onClick={() => setSource("turntable")}
+              disabled={isExporting}
+              className={`flex-1 ${source === "turntable" ? activeButtonClass : buttonClass}`}
+            >
+              360° Turntable
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className={labelClass}>
+              Format
+              <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={isExporting} className={inputClass}>
+                {EXPORT_FORMATS.map((item) => (
+                  <option key={item.id} value={item.id} disabled={item.id === "webm" && !getVideoMimeType()}>
+                    {item.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className={labelClass}>
+              Resolution
+              <select value={resolution} onChange={(e) => setResolution(e.target.value)} disabled={isExporting} className={inputClass}>
+                {EXPORT_RESOLUTIONS.map((item) => (
+                  <option key={item.id} value={item.id}>{item.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className={labelClass}>
+              Frame Rate
+              <select value={fps} onChange={(e) => setFps(parseInt(e.target.value, 10))} disabled={isExporting} className={inputClass}>
+                {EXPORT_FRAME_RATES.map((rate) => (
+                  <option key={rate} value={rate}>{rate} fps</option>
+                ))}
+              </select>
+            </label>
+            {source === "turntable" && (
+              <label className={labelClass}>
+                Duration (s)
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={turntableDuration}
+                  onChange={(e) => setTurntableDuration(Math.max(1, parseFloat(e.target.value) || 1))}
+                  disabled={isExporting}
+                  className={inputClass}
+                />
+              </label>
+            )}
+          </div>
+
+          {format === "png" && (
+            <label className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)]">
+              <input
+                type="checkbox"
+                checked={transparent}
+                onChange={(e) => setTransparent(e.target.checked)}
+                disabled={isExporting}
+                className="mr-2"
+              />
+              Transparent Background
+            </label>
+          )}
+
+          <p className="text-white/40 text-[11px]">
+            {frames} frames at {width} × {height}.
+            {format === "webm" && " Video frames are recorded in real time, keep this tab in front."}
+          </p>
+
+          {error && <p className="text-[11px] text-[rgb(255,99,99)]">{error}</p>}
+
+          {isExporting ? (
+            <div className="space-y-2">
+              <div className="h-1 rounded bg-[rgba(255,255,255,0.1)] overflow-hidden">
+                <div
+                  className="h-full bg-[rgb(43,153,255)]"
+                  style={{ width: `${(progress.frame / progress.frames) * 100}%` }}
+                />
+              </div>
+              <div className="flex justify-between items-center text-[11px] text-[rgba(255,255,255,0.6)]">
+                <span className="tabular-nums">
+                  Frame {progress.frame} / {progress.frames}
+                </span>
+                <button onClick={() => abortRef.current?.abort()} className={buttonClass}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button onClick={handleExport} className={`w-full ${buttonClass}`}>
+              Export
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </>
+  );
+}
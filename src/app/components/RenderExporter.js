@@ -0,0 +1,98 @@
+"use client";
+
+import { forwardRef, useImperativeHandle } from "react";
+import * as THREE from "three";
+import { useThree } from "@react-three/fiber";
+
+const nextTick = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+// Renders frames at a fixed size with time stepped by exactly 1 / fps per frame instead of
+// in real time. The render loop is suspended meanwhile and everything is put back afterwards.
+// onCapturingChange lets the owner of the Canvas keep its frameloop prop at "never" meanwhile.
+const RenderExporter = forwardRef(function RenderExporter({ onCapturingChange }, ref) {
+  const get = useThree((state) => state.get);
+
+  useImperativeHandle(ref, () => ({
+    // prepare runs once the loop is suspended and may return a function to undo its changes
+    async capture({ width, height, fps, frames, transparent, turntable, prepare, onFrame, signal }) {
+      const state = get();
+      const { gl, scene, camera, controls } = state;
+      const saved = {
+        frameloop: state.frameloop,
+        pixelRatio: gl.getPixelRatio(),
+        background: scene.background,
+        position: camera.position.clone(),
+        quaternion: camera.quaternion.clone(),
+        autoRotate: controls?.autoRotate,
+        frustum: camera.isOrthographicCamera && [camera.left, camera.right, camera.top, camera.bottom],
+      };
+
+      state.setFrameloop("never");
+      onCapturingChange?.(true);
+      const restore = prepare?.();
+      try {
+        // Let React apply state changes made by prepare before the first frame
+        await nextTick();
+        gl.setPixelRatio(1);
+        gl.setSize(width, height, false);
+        if (camera.isPerspectiveCamera) {
+          camera.aspect = width / height;
+        } else if (camera.isOrthographicCamera) {
+          // Keep the vertical extent and widen or narrow the frustum to the export aspect
+          const halfHeight = (camera.top - camera.bottom) / 2;
+          camera.left = (-halfHeight * width) / height;
+          camera.right = (halfHeight * width) / height;
+        }
+        camera.updateProjectionMatrix();
+        if (transparent) {
+          scene.background = null;
+        }
+        if (controls) {
+          controls.autoRotate = false;
+        }
+
+        const target = controls?.target.clone() || new THREE.Vector3();
+        const offset = camera.position.clone().sub(target);
+        const start = state.clock.elapsedTime;
+        for (let frame = 0; frame < frames; frame++) {
+          if (signal?.aborted) break;
+          if (turntable) {
+            const angle = (frame / frames) * Math.PI * 2;
+            camera.position.copy(target).add(offset.clone().applyAxisAngle(camera.up, angle));
+            camera.lookAt(target);
+          }
+          // advance() only uses the given time while the loop is suspended
+          if (get().frameloop !== "never") {
+            throw new Error("The render loop resumed during the export");
+          }
+          state.advance(start + frame / fps);
+          await onFrame(frame, gl.domElement);
+        }
+      } finally {
+        // The canvas kept its CSS size, only the drawing buffer was resized
+        const { size } = get();
+        gl.setPixelRatio(saved.pixelRatio);
+        gl.setSize(size.width, size.height, false);
+        if (camera.isPerspectiveCamera) {
+          camera.aspect = size.width / size.height;
+        } else if (saved.frustum) {
+          [camera.left, camera.right, camera.top, camera.bottom] = saved.frustum;
+        }
+        camera.updateProjectionMatrix();
+        scene.background = saved.background;
+        camera.position.copy(saved.position);
+        camera.quaternion.copy(saved.quaternion);
+        if (controls) {
+          controls.autoRotate = saved.autoRotate;
+        }
+        restore?.();
+        onCapturingChange?.(false);
+        state.setFrameloop(saved.frameloop);
+      }
+    },
+  }));
+
+  return null;
+});
+
+export default RenderExporter;
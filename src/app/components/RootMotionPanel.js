@@ -0,0 +1,72 @@
+"use client";
+
+import { ROOT_MOTION_AXES } from "../utils/rootMotion";
+import { getNodeLabel } from "./SceneOutliner";
+
+const axisButtonClass = "w-6 py-1 text-[11px] rounded leading-4 uppercase";
+
+// Root bone choice, in place playback and following the root with the camera
+export default function RootMotionPanel({ bones, rootMotion, onChange }) {
+  const update = (values) => onChange({ ...rootMotion, ...values });
+
+  return (
+    <div className="w-full flex flex-col gap-2 text-[11px]">
+      <div className="flex items-center">
+        <span className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)] overflow-hidden truncate whitespace-nowrap max-w-[80px] min-w-[80px]">
+          Root Bone
+        </span>
+        <select
+          value={rootMotion.bone || ""}
+          onChange={(e) => update({ bone: e.target.value || null })}
+          className="flex-1 min-w-0 py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+        >
+          <option value="">None</option>
+          {bones.map((bone) => (
+            <option key={bone.uuid} value={bone.uuid}>{getNodeLabel(bone)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <label className="flex items-center text-[rgba(255,255,255,0.6)]">
+          <input
+            type="checkbox"
+            checked={rootMotion.inPlace}
+            onChange={(e) => update({ inPlace: e.target.checked })}
+            disabled={!rootMotion.bone}
+            className="mr-2"
+          />
+          In Place
+        </label>
+        <div className="flex gap-1">
+          {ROOT_MOTION_AXES.map((axis) => (
+            <button
+              key={axis}
+              onClick={() => update({ axes: { ...rootMotion.axes, [axis]: !rootMotion.axes[axis] } })}
+              disabled={!rootMotion.inPlace}
+              title={`Strip ${axis.toUpperCase()} translation`}
+              className={`${axisButtonClass} disabled:opacity-40 ${
+                rootMotion.axes[axis]
+                  ? "bg-[rgb(43,153,255)] text-white"
+                  : "bg-[rgba(255,255,255,0.05)] text-[rgba(255,255,255,0.6)] hover:text-white"
+              }`}
+            >
+              {axis}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <label className="flex items-center text-[rgba(255,255,255,0.6)]">
+        <input
+          type="checkbox"
+          checked={rootMotion.follow}
+          onChange={(e) => update({ follow: e.target.checked })}
+          disabled={!rootMotion.bone}
+          className="mr-2"
+        />
+        Follow Camera
+      </label>
+    </div>
+  );
+}
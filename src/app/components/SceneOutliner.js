@@ -0,0 +1,265 @@
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from "react";
+
+const ICON_PATHS = {
+  mesh: "M12 2l9 5v10l-9 5-9-5V7z M12 12l9-5 M12 12v10 M12 12L3 7",
+  bone: "M7 17L17 7 M5 15a2 2 0 102 4 2 2 0 102-2 M19 9a2 2 0 10-2-4 2 2 0 10-2 2",
+  camera: "M3 7h12v10H3z M15 10l6-3v10l-6-3",
+  light: "M12 8a4 4 0 100 8 4 4 0 000-8z M12 2v2 M12 20v2 M2 12h2 M20 12h2 M5 5l1.5 1.5 M17.5 17.5L19 19 M5 19l1.5-1.5 M17.5 6.5L19 5",
+  points: "M6 6h.01 M12 6h.01 M18 6h.01 M6 12h.01 M12 12h.01 M18 12h.01 M6 18h.01 M12 18h.01 M18 18h.01",
+  line: "M4 20L20 4",
+  group: "M3 6h6l2 2h10v10H3z",
+};
+
+const ICON_COLORS = {
+  mesh: "text-[rgb(43,153,255)]",
+  skinnedMesh: "text-[rgb(180,120,255)]",
+  bone: "text-[rgb(255,190,70)]",
+  camera: "text-[rgb(80,210,140)]",
+  light: "text-[rgb(255,230,90)]",
+  points: "text-[rgb(43,153,255)]",
+  line: "text-[rgb(43,153,255)]",
+  group: "text-[rgba(255,255,255,0.4)]",
+};
+
+function getNodeKind(node) {
+  if (node.isSkinnedMesh) return "skinnedMesh";
+  if (node.isMesh) return "mesh";
+  if (node.isBone) return "bone";
+  if (node.isCamera) return "camera";
+  if (node.isLight) return "light";
+  if (node.isPoints) return "points";
+  if (node.isLine) return "line";
+  return "group";
+}
+
+function NodeIcon({ kind }) {
+  const path = ICON_PATHS[kind === "skinnedMesh" ? "mesh" : kind];
+  return (
+    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" className={`shrink-0 ${ICON_COLORS[kind]}`}>
+      <path d={path} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
+    </svg>
+  );
+}
+
+function EyeIcon({ open }) {
+  return (
+    <svg width="12" height="12" viewBox="0 0 24 24" fill="none">
+      <path d="M1 12s4-7 11-7 11 7 11 7-4 7-11 7S1 12 1 12z" stroke="currentColor" strokeWidth="2" strokeLinejoin="round" />
+      <circle cx="12" cy="12" r="3" stroke="currentColor" strokeWidth="2" />
+      {!open && <path d="M3 3l18 18" stroke="currentColor" strokeWidth="2" strokeLinecap="round" />}
+    </svg>
+  );
+}
+
+function IsolateIcon() {
+  return (
+    <svg width="12" height="12" viewBox="0 0 24 24" fill="none">
+      <circle cx="12" cy="12" r="8" stroke="currentColor" strokeWidth="2" />
+      <circle cx="12" cy="12" r="2" fill="currentColor" />
+    </svg>
+  );
+}
+
+export function getNodeLabel(node) {
+  return node.name || node.type;
+}
+
+// Tree view of the loaded scene with per-node visibility, isolate and a name filter.
+// Clicking a name selects the node, shift-click adds it to the selection.
+export default function SceneOutliner({ scene, selectedObjects = [], onSelect }) {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [filter, setFilter] = useState("");
+  const [isolatedId, setIsolatedId] = useState(null);
+  // Node visibility lives on the Object3Ds, bump this to re-render after changing it
+  const [, setVersion] = useState(0);
+  // Visibility of every node before isolating, restored when isolation ends
+  const savedVisibilityRef = useRef(null);
+  const listRef = useRef(null);
+
+  const nodeCount = useMemo(() => {
+    let count = 0;
+    scene.traverse(() => count++);
+    return count - 1;
+  }, [scene]);
+
+  // Nodes whose name matches the filter, plus their ancestors so the match stays reachable
+  const matches = useMemo(() => {
+    const query = filter.trim().toLowerCase();
+    if (!query) return null;
+
+    const result = new Set();
+    scene.traverse((node) => {
+      if (node !== scene && getNodeLabel(node).toLowerCase().includes(query)) {
+        result.add(node);
+        node.traverseAncestors((ancestor) => result.add(ancestor));
+      }
+    });
+    return result;
+  }, [scene, filter]);
+
+  const restoreVisibility = () => {
+    if (savedVisibilityRef.current) {
+      savedVisibilityRef.current.forEach((visible, node) => {
+        node.visible = visible;
+      });
+      savedVisibilityRef.current = null;
+    }
+  };
+
+  // The loaded scene is cached between loads, do not leave it isolated
+  useEffect(() => restoreVisibility, [scene]);
+
+  // Reveal nodes selected elsewhere, e.g. from the validation report
+  useEffect(() => {
+    if (selectedObjects.length === 0) return;
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      selectedObjects.forEach((object) => {
+        object.traverseAncestors((ancestor) => next.add(ancestor.uuid));
+      });
+      return next;
+    });
+  }, [selectedObjects]);
+
+  useEffect(() => {
+    const row = listRef.current?.querySelector('[data-selected="true"]');
+    if (row) {
+      row.scrollIntoView({ block: "nearest" });
+    }
+  }, [selectedObjects, expanded]);
+
+  const toggleExpanded = (node) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(node.uuid)) {
+        next.delete(node.uuid);
+      } else {
+        next.add(node.uuid);
+      }
+      return next;
+    });
+  };
+
+  const toggleVisible = (node) => {
+    node.visible = !node.visible;
+    setVersion((version) => version + 1);
+  };
+
+  const toggleIsolate = (target) => {
+    if (isolatedId === target.uuid) {
+      restoreVisibility();
+      setIsolatedId(null);
+      return;
+    }
+
+    if (!savedVisibilityRef.current) {
+      const saved = new Map();
+      scene.traverse((node) => saved.set(node, node.visible));
+      savedVisibilityRef.current = saved;
+    }
+    const saved = savedVisibilityRef.current;
+
+    const subtree = new Set();
+    target.traverse((node) => subtree.add(node));
+    const ancestors = new Set();
+    target.traverseAncestors((node) => ancestors.add(node));
+
+    scene.traverse((node) => {
+      if (subtree.has(node)) {
+        node.visible = saved.get(node) ?? true;
+      } else {
+        node.visible = ancestors.has(node);
+      }
+    });
+
+    setIsolatedId(target.uuid);
+  };
+
+  const rows = [];
+  const addRows = (node, depth) => {
+    if (matches && !matches.has(node)) return;
+    rows.push({ node, depth });
+    const isOpen = matches ? true : expanded.has(node.uuid);
+    if (isOpen) {
+      node.children.forEach((child) => addRows(child, depth + 1));
+    }
+  };
+  scene.children.forEach((child) => addRows(child, 0));
+
+  return (
+    <div className="w-full flex flex-col gap-2">
+      <div className="flex gap-1">
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder={`Filter ${nodeCount} nodes`}
+          className="flex-1 min-w-0 py-1 px-2 text-[11px] rounded bg-[rgba(255,255,255,0.05)] text-white/60 border border-white/10 focus:outline-none focus:border-[rgb(43,153,255)]"
+        />
+        {isolatedId && (
+          <button
+            onClick={() => {
+              restoreVisibility();
+              setIsolatedId(null);
+            }}
+            className="px-2 py-1 text-[11px] bg-[rgba(255,255,255,0.05)] rounded-lg text-[rgba(255,255,255,0.6)] leading-4 hover:bg-[rgb(43,153,255)] hover:text-white"
+          >
+            Show All
+          </button>
+        )}
+      </div>
+
+      <div ref={listRef} className="max-h-[320px] overflow-y-auto overflow-x-hidden rounded bg-[rgba(255,255,255,0.02)]">
+        {rows.length === 0 && (
+          <div className="px-2 py-1 text-[11px] text-[rgba(255,255,255,0.4)]">No matching nodes</div>
+        )}
+        {rows.map(({ node, depth }) => {
+          const hasChildren = node.children.length > 0;
+          const isOpen = matches ? true : expanded.has(node.uuid);
+          const isIsolated = isolatedId === node.uuid;
+          const isSelected = selectedObjects.includes(node);
+
+          return (
+            <div
+              key={node.uuid}
+              data-selected={isSelected}
+              className={`group flex items-center gap-1 h-6 pr-1 text-[11px] ${isSelected ? "bg-[rgba(43,153,255,0.2)]" : "hover:bg-[rgba(255,255,255,0.05)]"} ${node.visible ? "text-[rgba(255,255,255,0.7)]" : "text-[rgba(255,255,255,0.3)]"}`}
+              style={{ paddingLeft: `${depth * 12 + 4}px` }}
+            >
+              <button
+                onClick={() => toggleExpanded(node)}
+                className={`w-3 shrink-0 text-[9px] text-[rgba(255,255,255,0.4)] ${hasChildren && !matches ? "" : "invisible"}`}
+              >
+                {isOpen ? "▾" : "▸"}
+              </button>
+              <NodeIcon kind={getNodeKind(node)} />
+              <span
+                onClick={(e) => onSelect?.(node, e.shiftKey)}
+                className="flex-1 truncate cursor-pointer"
+                title={`${getNodeLabel(node)} (${node.type})`}
+              >
+                {getNodeLabel(node)}
+              </span>
+              <button
+                onClick={() => toggleIsolate(node)}
+                title={isIsolated ? "Exit isolation" : "Isolate"}
+                className={`shrink-0 p-[2px] rounded hover:text-white ${isIsolated ? "text-[rgb(43,153,255)]" : "opacity-0 group-hover:opacity-100"}`}
+              >
+                <IsolateIcon />
+              </button>
+              <button
+                onClick={() => toggleVisible(node)}
+                title={node.visible ? "Hide" : "Show"}
+                className="shrink-0 p-[2px] rounded hover:text-white"
+              >
+                <EyeIcon open={node.visible} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
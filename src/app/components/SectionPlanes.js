@@ -0,0 +1,329 @@
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import * as THREE from "three";
+import { createPortal, useFrame, useThree } from "@react-three/fiber";
+import { TransformControls } from "@react-three/drei";
+import {
+  applyClippingPlanes,
+  createClippingPlanes,
+  getBoxPlanes,
+  getClipBox,
+  getPlaneOrigin,
+  toBoxFractions,
+} from "../utils/clipping";
+
+const PLANE_FORWARD = new THREE.Vector3(0, 0, 1);
+
+function createStencilMaterial(plane, side, operation) {
+  return new THREE.MeshBasicMaterial({
+    side,
+    clippingPlanes: [plane],
+    depthWrite: false,
+    depthTest: false,
+    colorWrite: false,
+    stencilWrite: true,
+    stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: operation,
+    stencilZFail: operation,
+    stencilZPass: operation,
+  });
+}
+
+// Copy of a mesh drawn with another material, following the original's skinning and morphs
+function createProxy(mesh, material) {
+  const proxy = mesh.isSkinnedMesh
+    ? new THREE.SkinnedMesh(mesh.geometry, material)
+    : new THREE.Mesh(mesh.geometry, material);
+  if (mesh.isSkinnedMesh) {
+    proxy.bind(mesh.skeleton, mesh.bindMatrix);
+    proxy.bindMode = mesh.bindMode;
+  }
+  proxy.morphTargetInfluences = mesh.morphTargetInfluences;
+  proxy.morphTargetDictionary = mesh.morphTargetDictionary;
+  proxy.matrixAutoUpdate = false;
+  proxy.matrixWorldAutoUpdate = false;
+  proxy.frustumCulled = false;
+  proxy.raycast = () => null;
+  proxy.userData.source = mesh;
+  return proxy;
+}
+
+function isShown(object) {
+  let node = object;
+  while (node) {
+    if (!node.visible) return false;
+    node = node.parent;
+  }
+  return true;
+}
+
+// Fills the cut surfaces of closed meshes. Per plane the back faces increment and the front
+// faces decrement the stencil, the cap is then drawn where the stencil is not zero, clipped
+// by the other planes. Same technique as the three.js clipping stencil example.
+function SectionCaps({ scene, planes, size, color }) {
+  const caps = useMemo(() => {
+    const meshes = [];
+    scene.traverse((node) => {
+      if (node.isMesh) meshes.push(node);
+    });
+
+    const group = new THREE.Group();
+    const materials = [];
+    const capGeometry = new THREE.PlaneGeometry(size * 4, size * 4);
+    const capMeshes = [];
+
+    planes.forEach((plane, index) => {
+      const back = createStencilMaterial(plane, THREE.BackSide, THREE.IncrementWrapStencilOp);
+      const front = createStencilMaterial(plane, THREE.FrontSide, THREE.DecrementWrapStencilOp);
+      const capMaterial = new THREE.MeshStandardMaterial({
+        color,
+        metalness: 0.1,
+        roughness: 0.75,
+        side: THREE.DoubleSide,
+        clippingPlanes: planes.filter((other) => other !== plane),
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp,
+      });
+      materials.push(back, front, capMaterial);
+
+      meshes.forEach((mesh) => {
+        [back, front].forEach((material) => {
+          const proxy = createProxy(mesh, material);
+          proxy.renderOrder = index + 1;
+          group.add(proxy);
+        });
+      });
+
+      const cap = new THREE.Mesh(capGeometry, capMaterial);
+      cap.renderOrder = index + 1.1;
+      cap.raycast = () => null;
+      cap.onAfterRender = (renderer) => renderer.clearStencil();
+      cap.userData.plane = plane;
+      capMeshes.push(cap);
+      group.add(cap);
+    });
+
+    return {
+      group,
+      capMeshes,
+      dispose() {
+        materials.forEach((material) => material.dispose());
+        capGeometry.dispose();
+      },
+    };
+  }, [scene, planes, size, color]);
+
+  useEffect(() => caps.dispose, [caps]);
+
+  const point = useMemo(() => new THREE.Vector3(), []);
+  useFrame(() => {
+    caps.group.children.forEach((child) => {
+      const source = child.userData.source;
+      if (source) {
+        child.matrixWorld.copy(source.matrixWorld);
+        child.visible = isShown(source);
+      }
+    });
+    const scale = scene.matrixWorld.getMaxScaleOnAxis();
+    caps.capMeshes.forEach((cap) => {
+      const { plane } = cap.userData;
+      cap.scale.setScalar(scale);
+      plane.coplanarPoint(cap.position);
+      cap.lookAt(point.copy(cap.position).add(plane.normal));
+    });
+  });
+
+  return <primitive object={caps.group} />;
+}
+
+// Handle for one section plane: the plane is moved along its normal, free planes can also be rotated.
+// The handle lives in the model's space, the controls stay at the scene root where drei draws its gizmo.
+function PlaneHandle({ section, bounds, clippingPlane, mode, onCommit }) {
+  const rootScene = useThree((state) => state.scene);
+  const controlsRef = useRef();
+  const [object, setObject] = useState(null);
+  const origin = getPlaneOrigin(section, bounds);
+  const normal = new THREE.Vector3(...section.normal).normalize();
+  const quaternion = new THREE.Quaternion().setFromUnitVectors(PLANE_FORWARD, normal);
+  const size = bounds.size.length();
+
+  const readHandle = () => {
+    const group = controlsRef.current.object;
+    const handleNormal = PLANE_FORWARD.clone().applyQuaternion(group.quaternion).normalize();
+    return { origin: group.position.clone(), normal: handleNormal };
+  };
+
+  const handleObjectChange = () => {
+    const handle = readHandle();
+    clippingPlane.setFromNormalAndCoplanarPoint(handle.normal, handle.origin);
+    if (section.invert) clippingPlane.negate();
+  };
+
+  const handleMouseUp = () => {
+    const handle = readHandle();
+    onCommit({
+      normal: handle.normal.toArray(),
+      offset: handle.origin.sub(bounds.center).dot(handle.normal),
+    });
+  };
+
+  const isRotating = mode === "rotate" && section.axis === "free";
+
+  return (
+    <>
+      <group ref={setObject} position={origin.toArray()} quaternion={quaternion.toArray()}>
+        <mesh raycast={() => null}>
+          <planeGeometry args={[size, size]} />
+          <meshBasicMaterial
+            color="#2b99ff"
+            transparent
+            opacity={0.12}
+            side={THREE.DoubleSide}
+            depthWrite={false}
+          />
+        </mesh>
+      </group>
+      {object &&
+        createPortal(
+          <TransformControls
+            object={object}
+            mode={isRotating ? "rotate" : "translate"}
+            space="local"
+            showX={isRotating}
+            showY={isRotating}
+            size={0.8}
+            onObjectChange={handleObjectChange}
+            onMouseUp={handleMouseUp}
+            ref={controlsRef}
+          />,
+          rootScene
+        )}
+    </>
+  );
+}
+
+// Handle for the clip box, moved or scaled as a whole. Like the plane handle it lives in the
+// model's space with its controls at the scene root.
+function BoxHandle({ box, bounds, clippingPlanes, mode, showControls, onCommit }) {
+  const rootScene = useThree((state) => state.scene);
+  const controlsRef = useRef();
+  const [object, setObject] = useState(null);
+  const center = box.getCenter(new THREE.Vector3());
+  const boxSize = box.getSize(new THREE.Vector3());
+
+  const readBox = () => {
+    const group = controlsRef.current.object;
+    const half = group.scale.clone().multiplyScalar(0.5);
+    half.set(Math.abs(half.x), Math.abs(half.y), Math.abs(half.z));
+    return new THREE.Box3(group.position.clone().sub(half), group.position.clone().add(half));
+  };
+
+  const handleObjectChange = () => {
+    getBoxPlanes(readBox()).forEach((plane, index) => clippingPlanes[index].copy(plane));
+  };
+
+  const handleMouseUp = () => {
+    onCommit(toBoxFractions(readBox(), bounds));
+  };
+
+  const edges = useMemo(() => new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)), []);
+  useEffect(() => () => edges.dispose(), [edges]);
+
+  return (
+    <>
+      <group ref={setObject} position={center.toArray()} scale={boxSize.toArray()}>
+        <lineSegments geometry={edges} raycast={() => null}>
+          <lineBasicMaterial color="#2b99ff" />
+        </lineSegments>
+      </group>
+      {showControls &&
+        object &&
+        createPortal(
+          <TransformControls
+            object={object}
+            mode={mode === "scale" ? "scale" : "translate"}
+            size={0.8}
+            onObjectChange={handleObjectChange}
+            onMouseUp={handleMouseUp}
+            ref={controlsRef}
+          />,
+          rootScene
+        )}
+    </>
+  );
+}
+
+// Clipping planes for every material of the loaded scene, with handles and optional caps
+// Planes and handles are kept in the model's space and follow its Position, Rotation and Scale.
+export default function SectionPlanes({ scene, bounds, clipping, shading, handle, onChange }) {
+  const localPlanes = useMemo(() => createClippingPlanes(clipping, bounds), [clipping, bounds]);
+  // World space copies set on the materials
+  const planes = useMemo(() => localPlanes.map((plane) => plane.clone()), [localPlanes]);
+  const sections = clipping.planes.filter((plane) => plane.enabled);
+  const frameRef = useRef();
+
+  useFrame(() => {
+    scene.updateWorldMatrix(true, false);
+    planes.forEach((plane, index) => plane.copy(localPlanes[index]).applyMatrix4(scene.matrixWorld));
+    if (frameRef.current) {
+      frameRef.current.matrix.copy(scene.matrixWorld);
+      frameRef.current.matrixWorldNeedsUpdate = true;
+    }
+  });
+
+  // Debug shading swaps materials, apply the planes again afterwards
+  useEffect(() => {
+    applyClippingPlanes(scene, planes);
+  }, [scene, planes, shading]);
+
+  useEffect(() => () => applyClippingPlanes(scene, []), [scene]);
+
+  if (!clipping.enabled) return null;
+
+  const updateSection = (id, changes) => {
+    onChange({
+      ...clipping,
+      planes: clipping.planes.map((plane) => (plane.id === id ? { ...plane, ...changes } : plane)),
+    });
+  };
+
+  return (
+    <>
+      {clipping.caps && planes.length > 0 && (
+        <SectionCaps scene={scene} planes={planes} size={bounds.size.length()} color={clipping.capColor} />
+      )}
+
+      <group ref={frameRef} matrixAutoUpdate={false}>
+        {clipping.mode === "planes" &&
+          sections.map((section, index) =>
+            handle?.id === section.id ? (
+              <PlaneHandle
+                key={section.id}
+                section={section}
+                bounds={bounds}
+                clippingPlane={localPlanes[index]}
+                mode={handle.mode}
+                onCommit={(changes) => updateSection(section.id, changes)}
+              />
+            ) : null
+          )}
+
+        {clipping.mode === "box" && (
+          <BoxHandle
+            box={getClipBox(clipping, bounds)}
+            bounds={bounds}
+            clippingPlanes={localPlanes}
+            mode={handle?.mode}
+            showControls={handle?.id === "box"}
+            onCommit={(box) => onChange({ ...clipping, box })}
+          />
+        )}
+      </group>
+    </>
+  );
+}
@@ -0,0 +1,30 @@
+"use client";
+
+import { useEffect, useMemo } from "react";
+import * as THREE from "three";
+import { useFrame } from "@react-three/fiber";
+
+// World space bounding boxes around the selected objects, following them while they animate
+export default function SelectionHighlight({ objects }) {
+  const helpers = useMemo(
+    () => objects.map((object) => new THREE.BoxHelper(object, 0x2b99ff)),
+    [objects]
+  );
+
+  useEffect(() => {
+    return () => {
+      helpers.forEach((helper) => {
+        helper.geometry.dispose();
+        helper.material.dispose();
+      });
+    };
+  }, [helpers]);
+
+  useFrame(() => {
+    helpers.forEach((helper) => helper.update());
+  });
+
+  return helpers.map((helper) => (
+    <primitive key={helper.uuid} object={helper} raycast={() => null} />
+  ));
+}
@@ -0,0 +1,128 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import * as THREE from "three";
+import { getNodeLabel } from "./SceneOutliner";
+import { getMeshMaterials } from "../utils/sceneMaterials";
+import { getTriangleCount } from "../utils/modelStats";
+
+function InfoRow({ label, value }) {
+  return (
+    <div className="flex justify-between gap-2 text-[11px] leading-5">
+      <span className="shrink-0 text-[rgba(255,255,255,0.6)]">{label}</span>
+      <span className="truncate text-[rgba(255,255,255,0.9)] tabular-nums" title={value}>{value}</span>
+    </div>
+  );
+}
+
+const formatVector = (values) => values.map((value) => value.toFixed(3)).join(", ");
+
+// Node names from the model root down to the object
+function getNodePath(object, root) {
+  const names = [];
+  let node = object;
+  while (node && node !== root) {
+    names.unshift(getNodeLabel(node));
+    node = node.parent;
+  }
+  return names.join(" / ");
+}
+
+function getWorldTransform(object) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  object.updateWorldMatrix(true, false);
+  object.matrixWorld.decompose(position, quaternion, scale);
+  const rotation = new THREE.Euler().setFromQuaternion(quaternion);
+  return {
+    position: position.toArray(),
+    rotation: [rotation.x, rotation.y, rotation.z].map((angle) => THREE.MathUtils.radToDeg(angle)),
+    scale: scale.toArray(),
+  };
+}
+
+function ObjectDetails({ object, root }) {
+  const { geometry } = object;
+  const materials = getMeshMaterials(object);
+  const transform = getWorldTransform(object);
+
+  return (
+    <div className="w-full flex flex-col gap-2">
+      <div>
+        <div className="text-[11px] text-[rgba(255,255,255,0.9)] break-words">{getNodeLabel(object)}</div>
+        <div className="text-[10px] text-[rgba(255,255,255,0.4)] break-words">{getNodePath(object, root)}</div>
+      </div>
+
+      <div>
+        <InfoRow label="Type" value={object.type} />
+        {materials.length > 0 && (
+          <InfoRow
+            label={materials.length > 1 ? "Materials" : "Material"}
+            value={materials.map((material) => material.name || material.type).join(", ")}
+          />
+        )}
+        {geometry && (
+          <>
+            <InfoRow label="Vertices" value={(geometry.getAttribute("position")?.count || 0).toLocaleString()} />
+            {object.isMesh && <InfoRow label="Triangles" value={getTriangleCount(geometry).toLocaleString()} />}
+          </>
+        )}
+      </div>
+
+      {geometry && (
+        <div className="pt-2 border-t border-white/5">
+          {Object.entries(geometry.attributes).map(([name, attribute]) => (
+            <InfoRow
+              key={name}
+              label={name}
+              value={`${attribute.itemSize} × ${attribute.array.constructor.name.replace("Array", "")}${attribute.normalized ? " norm" : ""}`}
+            />
+          ))}
+          {geometry.index && (
+            <InfoRow label="index" value={geometry.index.array.constructor.name.replace("Array", "")} />
+          )}
+        </div>
+      )}
+
+      <div className="pt-2 border-t border-white/5">
+        <InfoRow label="World Position" value={formatVector(transform.position)} />
+        <InfoRow label="World Rotation" value={`${formatVector(transform.rotation)}°`} />
+        <InfoRow label="World Scale" value={formatVector(transform.scale)} />
+      </div>
+    </div>
+  );
+}
+
+// Properties of the selected objects. World transforms are re-read a few times a second
+// so they follow animations and the model transform controls.
+export default function SelectionInspector({ objects, root }) {
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (objects.length === 0) return;
+    const interval = setInterval(() => setTick((tick) => tick + 1), 250);
+    return () => clearInterval(interval);
+  }, [objects]);
+
+  if (objects.length === 0) {
+    return (
+      <div className="text-[11px] text-[rgba(255,255,255,0.4)]">
+        Click a mesh to select it, shift-click to add to the selection. Esc clears it.
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full flex flex-col gap-3">
+      {objects.length > 1 && (
+        <div className="text-[11px] text-[rgba(255,255,255,0.6)]">{objects.length} objects selected</div>
+      )}
+      {objects.map((object, index) => (
+        <div key={object.uuid} className={index > 0 ? "pt-3 border-t border-white/10" : ""}>
+          <ObjectDetails object={object} root={root} />
+        </div>
+      ))}
+    </div>
+  );
+}
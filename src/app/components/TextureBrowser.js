@@ -0,0 +1,154 @@
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { collectTextures, getMeshMaterials } from "../utils/sceneMaterials";
+import { getTextureSize } from "../utils/modelStats";
+import {
+  PREVIEW_CHANNELS,
+  drawTexture,
+  drawUVLayout,
+  getColorSpaceLabel,
+  getSamplerLabel,
+} from "../utils/texturePreview";
+
+function TextureThumbnail({ texture }) {
+  const canvasRef = useRef(null);
+  const [drawable, setDrawable] = useState(true);
+
+  useEffect(() => {
+    setDrawable(drawTexture(canvasRef.current, texture, { maxSize: 64 }));
+  }, [texture]);
+
+  return (
+    <div className="w-10 h-10 shrink-0 flex items-center justify-center rounded bg-[rgba(255,255,255,0.05)] overflow-hidden">
+      <canvas ref={canvasRef} className={`max-w-full max-h-full ${drawable ? "" : "hidden"}`} />
+      {!drawable && <span className="text-[9px] text-[rgba(255,255,255,0.4)]">GPU</span>}
+    </div>
+  );
+}
+
+function TexturePreview({ texture, uvObjects }) {
+  const canvasRef = useRef(null);
+  const [channel, setChannel] = useState("rgb");
+  const [showUVs, setShowUVs] = useState(false);
+  const [result, setResult] = useState({ drawable: true, outOfRange: 0 });
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const drawable = drawTexture(canvas, texture, { maxSize: 512, channel });
+    if (!drawable && showUVs) {
+      // Still show the layout on an empty square when the pixels are not readable
+      canvas.width = 512;
+      canvas.height = 512;
+    }
+    const outOfRange = showUVs ? drawUVLayout(canvas, uvObjects, texture) : 0;
+    setResult({ drawable, outOfRange });
+  }, [texture, channel, showUVs, uvObjects]);
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex gap-1">
+        {PREVIEW_CHANNELS.map((item) => (
+          <button
+            key={item.id}
+            onClick={() => setChannel(item.id)}
+            className={`flex-1 px-2 py-1 text-[11px] rounded-lg leading-4 ${channel === item.id ? "bg-[rgb(43,153,255)] text-white" : "bg-[rgba(255,255,255,0.05)] text-[rgba(255,255,255,0.6)] hover:text-white"}`}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-center rounded bg-[rgba(255,255,255,0.05)] overflow-hidden">
+        <canvas
+          ref={canvasRef}
+          className={`max-w-full ${result.drawable || showUVs ? "" : "hidden"}`}
+        />
+        {!result.drawable && !showUVs && (
+          <div className="p-4 text-[11px] text-[rgba(255,255,255,0.4)] text-center">
+            Compressed or floating point texture, the preview is not available
+          </div>
+        )}
+      </div>
+
+      <label className="flex items-center text-[11px] text-[rgba(255,255,255,0.6)]">
+        <input
+          type="checkbox"
+          checked={showUVs}
+          onChange={(e) => setShowUVs(e.target.checked)}
+          className="mr-2"
+        />
+        UV Layout
+      </label>
+      {showUVs && (
+        <div className="text-[11px] text-[rgba(255,255,255,0.5)]">
+          {uvObjects.length === 0
+            ? "No mesh uses this texture"
+            : `${uvObjects.length} mesh${uvObjects.length > 1 ? "es" : ""}${result.outOfRange > 0 ? `, ${result.outOfRange.toLocaleString()} triangles outside 0–1` : ""}`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Every texture of the loaded scene with its sampler settings and users. The selected texture
+// can be previewed per channel with the UV layout of the selected meshes drawn over it.
+export default function TextureBrowser({ model, selectedObjects = [] }) {
+  const textures = useMemo(() => collectTextures(model.scene), [model]);
+  const [current, setCurrent] = useState(null);
+
+  // UVs of the selected meshes, or of every mesh using the texture when none is selected
+  const uvObjects = useMemo(() => {
+    if (!current) return [];
+    const materials = new Set(current.usages.map(({ material }) => material));
+    const users = [];
+    model.scene.traverse((node) => {
+      if (node.geometry && getMeshMaterials(node).some((material) => materials.has(material))) {
+        users.push(node);
+      }
+    });
+    const selected = users.filter((node) => selectedObjects.includes(node));
+    return selected.length > 0 ? selected : users;
+  }, [model, current, selectedObjects]);
+
+  if (textures.length === 0) {
+    return <div className="text-[11px] text-[rgba(255,255,255,0.4)]">No textures</div>;
+  }
+
+  return (
+    <div className="w-full flex flex-col gap-2">
+      <div className="max-h-[320px] overflow-y-auto space-y-1">
+        {textures.map((entry) => {
+          const { texture, usages } = entry;
+          const { width, height } = getTextureSize(texture);
+          const isCurrent = current === entry;
+          return (
+            <button
+              key={texture.uuid}
+              onClick={() => setCurrent(isCurrent ? null : entry)}
+              className={`w-full flex gap-2 p-2 rounded text-left text-[11px] ${isCurrent ? "bg-[rgba(43,153,255,0.2)]" : "bg-[rgba(255,255,255,0.03)] hover:bg-[rgba(255,255,255,0.08)]"}`}
+            >
+              <TextureThumbnail texture={texture} />
+              <div className="flex-1 min-w-0">
+                <div className="truncate text-[rgba(255,255,255,0.9)]" title={texture.name}>
+                  {texture.name || "Unnamed"}
+                </div>
+                <div className="text-[rgba(255,255,255,0.5)]">
+                  {width} × {height} · {getColorSpaceLabel(texture)}
+                </div>
+                <div className="truncate text-[rgba(255,255,255,0.4)]">
+                  {getSamplerLabel(texture).join(" · ")}
+                </div>
+                <div className="truncate text-[rgba(255,255,255,0.4)]">
+                  {usages.map(({ material, slot }) => `${material.name || material.type}.${slot}`).join(", ")}
+                </div>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      {current && <TexturePreview key={current.texture.uuid} texture={current.texture} uvObjects={uvObjects} />}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+"use client";
+
+import { SEVERITIES } from "../utils/gltfValidation";
+
+// Khronos validator report, grouped by severity. Messages whose JSON pointer maps to
+// objects in the scene can be clicked to select them.
+export default function ValidationPanel({ validation, onSelectPointer }) {
+  if (!validation || validation.status === "running") {
+    return <div className="text-[11px] text-[rgba(255,255,255,0.4)]">Validating...</div>;
+  }
+
+  if (validation.status === "error") {
+    return (
+      <div className="text-[11px] text-[rgba(255,120,120,0.9)] break-words">
+        Validator failed: {String(validation.error?.message || validation.error)}
+      </div>
+    );
+  }
+
+  const { issues, validatorVersion } = validation.report;
+  const counts = [issues.numErrors, issues.numWarnings, issues.numInfos, issues.numHints];
+
+  return (
+    <div className="w-full flex flex-col gap-2 text-[11px]">
+      <div className="flex gap-1">
+        {SEVERITIES.map((severity) => (
+          <div
+            key={severity.id}
+            className="flex-1 px-1 py-1 rounded-lg bg-[rgba(255,255,255,0.05)] text-center"
+          >
+            <div className="font-semibold tabular-nums" style={{ color: severity.color }}>
+              {counts[severity.id]}
+            </div>
+            <div className="text-[rgba(255,255,255,0.4)]">{severity.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {SEVERITIES.map((severity) => {
+        const messages = issues.messages.filter((message) => message.severity === severity.id);
+        if (messages.length === 0) return null;
+
+        return (
+          <details key={severity.id} open={severity.id === 0}>
+            <summary className="cursor-pointer text-[rgba(255,255,255,0.6)] hover:text-white">
+              {severity.label} ({messages.length})
+            </summary>
+            <div className="mt-1 space-y-1 max-h-[240px] overflow-y-auto">
+              {messages.map((message, index) => (
+                <button
+                  key={index}
+                  onClick={() => onSelectPointer(message.pointer)}
+                  disabled={!message.pointer}
+                  className="w-full p-2 rounded bg-[rgba(255,255,255,0.03)] text-left enabled:hover:bg-[rgba(255,255,255,0.08)]"
+                >
+                  <div className="font-mono text-[10px]" style={{ color: severity.color }}>
+                    {message.code}
+                  </div>
+                  <div className="text-[rgba(255,255,255,0.7)] break-words">{message.message}</div>
+                  {message.pointer && (
+                    <div className="font-mono text-[10px] text-[rgba(255,255,255,0.4)] break-all">
+                      {message.pointer}
+                    </div>
+                  )}
+                </button>
+              ))}
+            </div>
+          </details>
+        );
+      })}
+
+      {issues.truncated && (
+        <div className="text-[rgba(255,255,255,0.4)]">Only the first {issues.messages.length} issues are listed.</div>
+      )}
+      <div className="text-[rgba(255,255,255,0.3)]">glTF Validator {validatorVersion}</div>
+    </div>
+  );
+}
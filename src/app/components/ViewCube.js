@@ -0,0 +1,42 @@
+"use client";
+
+import { useRef } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import { GizmoViewcube } from "@react-three/drei";
+
+function ViewCubeScene({ cameraRef, onSelect }) {
+  const groupRef = useRef();
+
+  // Show the world axes as seen from the viewer camera
+  useFrame(() => {
+    const camera = cameraRef.current;
+    if (camera && groupRef.current) {
+      groupRef.current.quaternion.copy(camera.quaternion).invert();
+    }
+  });
+
+  // Faces report their normal, edges and corners sit at their direction from the center
+  const handleClick = (e) => {
+    e.stopPropagation();
+    const direction = e.object.position.lengthSq() > 0 ? e.object.position.clone() : e.face.normal.clone();
+    onSelect(direction.normalize().toArray());
+  };
+
+  return (
+    <group ref={groupRef}>
+      <GizmoViewcube onClick={handleClick} opacity={0.85} />
+    </group>
+  );
+}
+
+// Navigation cube in the top left corner of the viewport, away from the side panel. It is
+// drawn by its own small canvas, so it never shows up in screenshots or exported renders.
+export default function ViewCube({ cameraRef, onSelect }) {
+  return (
+    <div className="absolute top-4 left-4 w-[120px] h-[120px]">
+      <Canvas orthographic camera={{ position: [0, 0, 200], zoom: 1 }} gl={{ alpha: true }}>
+        <ViewCubeScene cameraRef={cameraRef} onSelect={onSelect} />
+      </Canvas>
+    </div>
+  );
+}
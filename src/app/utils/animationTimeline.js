@@ -0,0 +1,66 @@
+export const LOOP_MODES = [
+  { id: "once", label: "Once" },
+  { id: "repeat", label: "Repeat" },
+  { id: "pingpong", label: "Ping-Pong" },
+];
+
+export const PLAYBACK_SPEEDS = [0.1, 0.25, 0.5, 1, 1.5, 2, 4];
+
+export const FRAME_RATES = [12, 24, 25, 30, 50, 60];
+
+export function createDefaultTimeline() {
+  return {
+    fps: 30,
+    speed: 1,
+    loop: "repeat",
+    // In and out points in seconds, null plays the whole clip
+    range: null,
+  };
+}
+
+export function getPlayRange(timeline, duration) {
+  if (!timeline.range) return [0, duration];
+  const [start, end] = timeline.range;
+  return [Math.max(0, Math.min(start, duration)), Math.max(0, Math.min(end, duration))];
+}
+
+const wrap = (value, length) => ((value % length) + length) % length;
+
+// Moves the playhead by delta seconds inside [start, end]. Direction is -1 while a
+// ping-pong loop plays backwards. Finished is set when a single run reaches the end.
+export function advanceTime({ time, direction }, delta, loop, [start, end]) {
+  const length = end - start;
+  if (length <= 0) return { time: start, direction: 1, finished: loop === "once" };
+
+  if (loop === "once") {
+    const next = Math.max(start, time + delta);
+    return next >= end ? { time: end, direction: 1, finished: true } : { time: next, direction: 1, finished: false };
+  }
+
+  if (loop === "repeat") {
+    return { time: start + wrap(time + delta - start, length), direction: 1, finished: false };
+  }
+
+  // Ping-pong: unfold the back and forth run into one cycle of twice the length
+  const offset = Math.min(Math.max(time - start, 0), length);
+  const position = wrap((direction < 0 ? 2 * length - offset : offset) + delta, 2 * length);
+  return position <= length
+    ? { time: start + position, direction: 1, finished: false }
+    : { time: start + 2 * length - position, direction: -1, finished: false };
+}
+
+export function getFrame(time, fps) {
+  return Math.round(time * fps);
+}
+
+// Time of the frame next to the given time, kept inside [start, end]
+export function stepFrame(time, fps, step, [start, end]) {
+  const frame = getFrame(time, fps) + step;
+  return Math.min(end, Math.max(start, frame / fps));
+}
+
+export function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(2).padStart(5, "0");
+  return `${minutes}:${rest}`;
+}
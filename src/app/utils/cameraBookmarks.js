@@ -0,0 +1,111 @@
+import * as THREE from "three";
+
+const STORAGE_KEY = "model-viewer-bookmarks";
+
+export const FLIGHT_DURATION = 1.2;
+
+// Bookmarks are kept per model: remote models by URL, local files by file name
+export function getBookmarkKey(source) {
+  if (!source) return null;
+  return source.remote ? source.url : source.name;
+}
+
+function loadAllBookmarks() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+export function loadBookmarks(key) {
+  const bookmarks = loadAllBookmarks()[key];
+  return Array.isArray(bookmarks) ? bookmarks : [];
+}
+
+export function saveBookmarks(key, bookmarks) {
+  const all = loadAllBookmarks();
+  if (bookmarks.length > 0) {
+    all[key] = bookmarks;
+  } else {
+    delete all[key];
+  }
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (error) {
+    // Storage can be full or disabled, bookmarks then only last for the session
+  }
+}
+
+let nextId = 1;
+
+export function createBookmark(name, view) {
+  return { id: `${Date.now()}-${nextId++}`, name, ...view };
+}
+
+// View of the orbit camera as stored in a bookmark
+export function getCameraView(camera, target) {
+  return {
+    position: camera.position.toArray(),
+    target: target.toArray(),
+    fov: camera.fov,
+    zoom: camera.zoom,
+    projection: camera.isOrthographicCamera ? "orthographic" : "perspective",
+  };
+}
+
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+// Bookmarks from an exported file, either { bookmarks: [...] } or a bare list. Invalid entries are skipped.
+export function parseBookmarks(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.bookmarks;
+  if (!Array.isArray(list)) {
+    throw new Error("The file contains no bookmarks");
+  }
+  return list
+    .filter((item) => isVector(item?.position) && isVector(item?.target))
+    .map((item, index) =>
+      createBookmark(String(item.name || `View ${index + 1}`), {
+        position: item.position,
+        target: item.target,
+        fov: Number.isFinite(item.fov) ? item.fov : undefined,
+        zoom: Number.isFinite(item.zoom) ? item.zoom : undefined,
+        projection: item.projection === "orthographic" ? "orthographic" : "perspective",
+      })
+    );
+}
+
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// View between two views, t in [0, 1]. The camera swings around the target instead of cutting
+// through it. Fov and zoom only change between views of the same projection, a missing value
+// keeps the one of the start view.
+export function interpolateView(from, to, t) {
+  const fromTarget = new THREE.Vector3().fromArray(from.target);
+  const toTarget = new THREE.Vector3().fromArray(to.target);
+  const fromOffset = new THREE.Vector3().fromArray(from.position).sub(fromTarget);
+  const toOffset = new THREE.Vector3().fromArray(to.position).sub(toTarget);
+
+  const rotation = new THREE.Quaternion().setFromUnitVectors(
+    fromOffset.clone().normalize(),
+    toOffset.clone().normalize()
+  );
+  const offset = fromOffset
+    .clone()
+    .normalize()
+    .applyQuaternion(new THREE.Quaternion().slerp(rotation, t))
+    .multiplyScalar(THREE.MathUtils.lerp(fromOffset.length(), toOffset.length(), t));
+  const target = fromTarget.lerp(toTarget, t);
+
+  const sameProjection = (from.projection || "perspective") === (to.projection || "perspective");
+  const lerpValue = (a, b) => (sameProjection && Number.isFinite(a) && Number.isFinite(b) ? THREE.MathUtils.lerp(a, b, t) : a);
+  return {
+    position: target.clone().add(offset).toArray(),
+    target: target.toArray(),
+    fov: lerpValue(from.fov, to.fov),
+    zoom: lerpValue(from.zoom, to.zoom),
+  };
+}
@@ -0,0 +1,153 @@
+import * as THREE from "three";
+import { getMeshMaterials } from "./sceneMaterials";
+
+const STORAGE_KEY = "model-viewer-clipping";
+
+export const MAX_SECTION_PLANES = 3;
+
+export const PLANE_AXES = [
+  { id: "x", label: "X", normal: [-1, 0, 0] },
+  { id: "y", label: "Y", normal: [0, -1, 0] },
+  { id: "z", label: "Z", normal: [0, 0, -1] },
+  { id: "free", label: "Free" },
+];
+
+// Section planes are stored as a normal and an offset along it from the model center, in
+// the model's own space, so they survive reloading and transforming the model. The box is
+// stored relative to the model bounds.
+export function createDefaultClipping() {
+  return {
+    enabled: false,
+    mode: "planes", // 'planes' | 'box'
+    caps: true,
+    capColor: "#e8663a",
+    planes: [createSectionPlane("y")],
+    box: { min: [0, 0, 0], max: [1, 1, 1] },
+  };
+}
+
+function loadAllClipping() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Clipping is kept per model, under the same key as its camera bookmarks
+export function loadClipping(key) {
+  const clipping = loadAllClipping()[key];
+  return clipping ? { ...createDefaultClipping(), ...clipping } : createDefaultClipping();
+}
+
+// Plane ids are random, so two clippings are compared without them
+const toComparable = (clipping) => JSON.stringify({ ...clipping, planes: clipping.planes.map(({ id, ...plane }) => plane) });
+
+export function saveClipping(key, clipping) {
+  const all = loadAllClipping();
+  if (toComparable(clipping) !== toComparable(createDefaultClipping())) {
+    all[key] = clipping;
+  } else {
+    delete all[key];
+  }
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (error) {
+    // Storage can be full or disabled, clipping then only lasts for the session
+  }
+}
+
+export function createSectionPlane(axis) {
+  const normal = PLANE_AXES.find((item) => item.id === axis)?.normal || [-1, 0, 0];
+  return { id: THREE.MathUtils.generateUUID(), axis, normal, offset: 0, invert: false, enabled: true };
+}
+
+function toBounds(box) {
+  if (box.isEmpty()) {
+    box.set(new THREE.Vector3(-1, -1, -1), new THREE.Vector3(1, 1, 1));
+  }
+  return { box, center: box.getCenter(new THREE.Vector3()), size: box.getSize(new THREE.Vector3()) };
+}
+
+export function getModelBounds(scene) {
+  scene.updateWorldMatrix(true, true);
+  return toBounds(new THREE.Box3().setFromObject(scene));
+}
+
+// Bounds in the space of the scene root, before the model's Position, Rotation and Scale
+export function getLocalBounds(scene) {
+  scene.updateWorldMatrix(true, true);
+  const toLocal = new THREE.Matrix4().copy(scene.matrixWorld).invert();
+  const matrix = new THREE.Matrix4();
+  const box = new THREE.Box3();
+  const geometryBox = new THREE.Box3();
+  scene.traverse((node) => {
+    if (!node.geometry) return;
+    if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+    geometryBox.copy(node.geometry.boundingBox).applyMatrix4(matrix.multiplyMatrices(toLocal, node.matrixWorld));
+    box.union(geometryBox);
+  });
+  return toBounds(box);
+}
+
+// Point of a section plane in the model's space, the center of its handle
+export function getPlaneOrigin(plane, bounds) {
+  return bounds.center.clone().addScaledVector(new THREE.Vector3(...plane.normal), plane.offset);
+}
+
+// Box corners in the model's space from fractions of the model bounds
+export function getClipBox(clipping, bounds) {
+  const { min, max } = clipping.box;
+  const toPoint = (fractions) =>
+    new THREE.Vector3(...fractions).multiply(bounds.size).add(bounds.box.min);
+  return new THREE.Box3(toPoint(min), toPoint(max));
+}
+
+export function toBoxFractions(box, bounds) {
+  const toFractions = (point) =>
+    point.clone().sub(bounds.box.min).divide(bounds.size).toArray();
+  return { min: toFractions(box.min), max: toFractions(box.max) };
+}
+
+// Six inward facing planes keeping what is inside the box
+export function getBoxPlanes({ min, max }) {
+  return [
+    new THREE.Plane(new THREE.Vector3(1, 0, 0), -min.x),
+    new THREE.Plane(new THREE.Vector3(-1, 0, 0), max.x),
+    new THREE.Plane(new THREE.Vector3(0, 1, 0), -min.y),
+    new THREE.Plane(new THREE.Vector3(0, -1, 0), max.y),
+    new THREE.Plane(new THREE.Vector3(0, 0, 1), -min.z),
+    new THREE.Plane(new THREE.Vector3(0, 0, -1), max.z),
+  ];
+}
+
+// THREE.Planes in the model's space clipping away everything on their negative side
+export function createClippingPlanes(clipping, bounds) {
+  if (!clipping.enabled) return [];
+
+  if (clipping.mode === "box") {
+    return getBoxPlanes(getClipBox(clipping, bounds));
+  }
+
+  return clipping.planes
+    .filter((plane) => plane.enabled)
+    .map((plane) => {
+      const result = new THREE.Plane().setFromNormalAndCoplanarPoint(
+        new THREE.Vector3(...plane.normal).normalize(),
+        getPlaneOrigin(plane, bounds)
+      );
+      return plane.invert ? result.negate() : result;
+    });
+}
+
+// Set the planes on every material drawn for the scene, and on the file's materials
+// while debug shading has replaced them
+export function applyClippingPlanes(scene, planes) {
+  scene.traverse((node) => {
+    if (!node.material) return;
+    const current = Array.isArray(node.material) ? node.material : [node.material];
+    new Set([...current, ...getMeshMaterials(node)]).forEach((material) => {
+      material.clippingPlanes = planes;
+    });
+  });
+}
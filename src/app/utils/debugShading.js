@@ -0,0 +1,173 @@
+import * as THREE from "three";
+import { getSourceMaterial, setSourceMaterial } from "./sceneMaterials";
+
+export const SHADING_MODES = [
+  { id: "default", label: "Default" },
+  { id: "normals", label: "Normals" },
+  { id: "uv", label: "UV Checker" },
+  { id: "vertexColors", label: "Vertex Colors" },
+  { id: "clay", label: "Clay" },
+  { id: "matcap", label: "Matcap" },
+  { id: "depth", label: "Depth" },
+  { id: "overdraw", label: "Overdraw" },
+];
+
+function createCanvasTexture(size, draw) {
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  draw(canvas.getContext("2d"), size);
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
+
+// 8 × 8 checker with a gradient per cell so flipped or rotated islands stand out
+function createCheckerTexture() {
+  const texture = createCanvasTexture(512, (context, size) => {
+    const cells = 8;
+    const cell = size / cells;
+    for (let y = 0; y < cells; y++) {
+      for (let x = 0; x < cells; x++) {
+        const hue = ((x + y * cells) / (cells * cells)) * 360;
+        context.fillStyle = (x + y) % 2 === 0 ? `hsl(${hue}, 60%, 70%)` : `hsl(${hue}, 60%, 35%)`;
+        context.fillRect(x * cell, y * cell, cell, cell);
+      }
+    }
+    context.fillStyle = "rgba(255,255,255,0.9)";
+    context.font = `bold ${cell * 0.35}px sans-serif`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    for (let y = 0; y < cells; y++) {
+      for (let x = 0; x < cells; x++) {
+        context.fillText(`${String.fromCharCode(65 + x)}${y + 1}`, (x + 0.5) * cell, (y + 0.5) * cell);
+      }
+    }
+  });
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.anisotropy = 4;
+  return texture;
+}
+
+// Soft studio sphere used as the matcap
+function createMatcapTexture() {
+  return createCanvasTexture(256, (context, size) => {
+    const gradient = context.createRadialGradient(size * 0.35, size * 0.3, size * 0.05, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, "#ffffff");
+    gradient.addColorStop(0.4, "#b8bcc4");
+    gradient.addColorStop(0.85, "#4a4e58");
+    gradient.addColorStop(1, "#202228");
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+  });
+}
+
+// MeshDepthMaterial with depth remapped linearly to a view space range, so the model
+// uses the full gray scale instead of the camera's near and far planes
+function createDepthMaterial(range) {
+  const material = new THREE.MeshDepthMaterial();
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.depthRange = range;
+    shader.vertexShader = `varying float vViewDepth;\n${shader.vertexShader}`.replace(
+      "#include <project_vertex>",
+      "#include <project_vertex>\n\tvViewDepth = -mvPosition.z;"
+    );
+    shader.fragmentShader = `uniform vec2 depthRange;\nvarying float vViewDepth;\n${shader.fragmentShader}`.replace(
+      "float fragCoordZ = 0.5 * vHighPrecisionZW[0] / vHighPrecisionZW[1] + 0.5;",
+      "float fragCoordZ = clamp( ( vViewDepth - depthRange.x ) / ( depthRange.y - depthRange.x ), 0.0, 1.0 );"
+    );
+  };
+  return material;
+}
+
+// Materials and textures of one shading mode, shared by every mesh
+export function createShadingMaterials(mode) {
+  const textures = [];
+  const depthRange = { value: new THREE.Vector2(0, 1) };
+  let materials;
+
+  switch (mode) {
+    case "normals":
+      materials = { mesh: new THREE.MeshNormalMaterial() };
+      break;
+    case "uv": {
+      const checker = createCheckerTexture();
+      textures.push(checker);
+      materials = { mesh: new THREE.MeshBasicMaterial({ map: checker }) };
+      break;
+    }
+    case "vertexColors":
+      materials = {
+        mesh: new THREE.MeshBasicMaterial({ vertexColors: true }),
+        // Meshes without a color attribute would render black
+        noColors: new THREE.MeshBasicMaterial({ color: 0x808080 }),
+      };
+      break;
+    case "clay":
+      materials = { mesh: new THREE.MeshStandardMaterial({ color: 0xbfb8ad, roughness: 0.85, metalness: 0 }) };
+      break;
+    case "matcap": {
+      const matcap = createMatcapTexture();
+      textures.push(matcap);
+      materials = { mesh: new THREE.MeshMatcapMaterial({ matcap }) };
+      break;
+    }
+    case "depth":
+      materials = { mesh: createDepthMaterial(depthRange) };
+      break;
+    case "overdraw":
+      // Every layer adds a little, so areas drawn many times glow
+      materials = {
+        mesh: new THREE.MeshBasicMaterial({
+          color: new THREE.Color(0.12, 0.05, 0.02),
+          blending: THREE.AdditiveBlending,
+          transparent: true,
+          depthTest: false,
+          depthWrite: false,
+        }),
+      };
+      break;
+    default:
+      return null;
+  }
+
+  return {
+    depthRange,
+    getMaterial(mesh) {
+      if (materials.noColors && !mesh.geometry.getAttribute("color")) {
+        return materials.noColors;
+      }
+      return materials.mesh;
+    },
+    setWireframe(wireframe) {
+      Object.values(materials).forEach((material) => {
+        material.wireframe = wireframe;
+      });
+    },
+    dispose() {
+      Object.values(materials).forEach((material) => material.dispose());
+      textures.forEach((texture) => texture.dispose());
+    },
+  };
+}
+
+// Swap the material of every mesh for a shading mode material, keeping the originals so
+// they can be restored. Multi-material meshes keep their groups.
+export function applyShadingMaterials(scene, shading) {
+  scene.traverse((node) => {
+    if (!node.isMesh) return;
+    const source = getSourceMaterial(node);
+    const material = shading.getMaterial(node);
+    setSourceMaterial(node, source);
+    node.material = Array.isArray(source) ? source.map(() => material) : material;
+  });
+}
+
+export function restoreSourceMaterials(scene) {
+  scene.traverse((node) => {
+    if (!node.isMesh) return;
+    node.material = getSourceMaterial(node);
+    setSourceMaterial(node, null);
+  });
+}
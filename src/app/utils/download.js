@@ -0,0 +1,19 @@
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function downloadJSON(data, filename) {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }), filename);
+}
+
+// Base name for exported files, derived from the model file name
+export function getExportName(name, suffix) {
+  const base = (name || "model").replace(/\.[^.]+$/, "");
+  return `${base}-${suffix}`;
+}
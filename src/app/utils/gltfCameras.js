@@ -0,0 +1,63 @@
+import * as THREE from "three";
+
+// Cameras as placed in the scene graph. A glTF camera used by several nodes is cloned by the
+// loader, so the instances are collected from the scene rather than from gltf.cameras.
+export function getModelCameras(model) {
+  const cameras = [];
+  model?.scene.traverse((node) => {
+    if (node.isCamera) cameras.push(node);
+  });
+  return cameras.map((camera, index) => ({
+    camera,
+    name: camera.name || `Camera ${index + 1}`,
+    type: camera.isOrthographicCamera ? "orthographic" : "perspective",
+  }));
+}
+
+// Aspect ratio the camera was authored with, null when the file leaves it to the viewport
+function getAuthoredAspect(model, camera) {
+  const parser = model?.parser;
+  if (!parser) return camera.aspect;
+  const nodeIndex = parser.associations.get(camera)?.nodes;
+  const cameraIndex = parser.json.nodes?.[nodeIndex]?.camera;
+  return parser.json.cameras?.[cameraIndex]?.perspective?.aspectRatio ?? null;
+}
+
+// Authored projection of each camera, before it was fitted to a viewport
+const authoredProjections = new WeakMap();
+
+function getAuthoredProjection(model, camera) {
+  if (!authoredProjections.has(camera)) {
+    authoredProjections.set(
+      camera,
+      camera.isOrthographicCamera
+        ? { xmag: camera.right, ymag: camera.top }
+        : { fov: camera.fov, aspect: getAuthoredAspect(model, camera) }
+    );
+  }
+  return authoredProjections.get(camera);
+}
+
+// Fit the projection to the viewport so everything the authored frame shows stays visible.
+// On a narrower viewport the field of view grows instead of cropping the sides of the shot.
+export function fitCameraToViewport(model, camera, width, height) {
+  const aspect = width / height;
+  const authored = getAuthoredProjection(model, camera);
+
+  if (camera.isOrthographicCamera) {
+    const authoredAspect = authored.xmag / authored.ymag;
+    const halfHeight = aspect >= authoredAspect ? authored.ymag : authored.xmag / aspect;
+    camera.top = halfHeight;
+    camera.bottom = -halfHeight;
+    camera.right = halfHeight * aspect;
+    camera.left = -halfHeight * aspect;
+  } else {
+    camera.aspect = aspect;
+    camera.fov = authored.fov;
+    if (authored.aspect && aspect < authored.aspect) {
+      const halfWidth = Math.tan(THREE.MathUtils.degToRad(authored.fov / 2)) * authored.aspect;
+      camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(halfWidth / aspect));
+    }
+  }
+  camera.updateProjectionMatrix();
+}
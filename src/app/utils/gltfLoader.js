@@ -0,0 +1,46 @@
+import * as THREE from "three";
+import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+import { MeshoptDecoder } from "three/examples/jsm/libs/meshopt_decoder.module.js";
+
+// Decoders are served from public/decoders so compressed assets also load offline
+export const DRACO_DECODER_PATH = "/decoders/draco/";
+export const BASIS_TRANSCODER_PATH = "/decoders/basis/";
+
+export const COMPRESSION_EXTENSIONS = {
+  KHR_draco_mesh_compression: "Draco",
+  EXT_meshopt_compression: "Meshopt",
+  KHR_texture_basisu: "KTX2 / Basis",
+};
+
+// One decoder instance each: they own worker pools that should not be duplicated
+let dracoLoader = null;
+let ktx2Loader = null;
+
+// Prepare the shared GLTFLoader for a load: resource manager plus all decoders
+export function configureGLTFLoader(loader, { gl, manager }) {
+  loader.manager = manager || THREE.DefaultLoadingManager;
+
+  if (!dracoLoader) {
+    dracoLoader = new DRACOLoader().setDecoderPath(DRACO_DECODER_PATH);
+  }
+
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader().setTranscoderPath(BASIS_TRANSCODER_PATH);
+  }
+  ktx2Loader.detectSupport(gl);
+  // .ktx2 files next to a .gltf have to go through the same URL modifier
+  ktx2Loader.manager = loader.manager;
+
+  loader.setDRACOLoader(dracoLoader);
+  loader.setKTX2Loader(ktx2Loader);
+  loader.setMeshoptDecoder(MeshoptDecoder);
+}
+
+// Compression extensions used by a loaded glTF, as display names
+export function getCompressionExtensions(gltf) {
+  const used = gltf?.parser?.json?.extensionsUsed || [];
+  return used
+    .filter((name) => COMPRESSION_EXTENSIONS[name])
+    .map((name) => COMPRESSION_EXTENSIONS[name]);
+}
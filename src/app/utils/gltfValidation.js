@@ -0,0 +1,75 @@
+import * as THREE from "three";
+import { getMeshMaterials } from "./sceneMaterials";
+
+export const SEVERITIES = [
+  { id: 0, key: "errors", label: "Errors", color: "rgb(255,100,100)" },
+  { id: 1, key: "warnings", label: "Warnings", color: "rgb(255,190,70)" },
+  { id: 2, key: "infos", label: "Infos", color: "rgb(43,153,255)" },
+  { id: 3, key: "hints", label: "Hints", color: "rgba(255,255,255,0.5)" },
+];
+
+async function fetchBytes(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Run the Khronos glTF validator on a model source, entirely in the browser.
+// External buffers and images resolve the same way the loader resolves them.
+export async function validateModelSource(source) {
+  // The validator is large, only download it when a glTF is opened
+  const { validateBytes } = await import("gltf-validator");
+
+  const data = source.fileMap
+    ? new Uint8Array(await source.fileMap.get(source.rootPath).arrayBuffer())
+    : await fetchBytes(source.url);
+
+  const manager = source.manager || THREE.DefaultLoadingManager;
+  const basePath = THREE.LoaderUtils.extractUrlBase(source.url);
+
+  return validateBytes(data, {
+    uri: source.name,
+    maxIssues: 1000,
+    externalResourceFunction: (uri) =>
+      fetchBytes(manager.resolveURL(THREE.LoaderUtils.resolveURL(uri, basePath))).catch(
+        (error) => Promise.reject(`Could not load ${uri}: ${error.message}`)
+      ),
+  });
+}
+
+// Objects of the loaded scene that a JSON pointer such as "/nodes/3/mesh" refers to
+export function findObjectsForPointer(model, pointer) {
+  const associations = model?.parser?.associations;
+  const match = /^\/(nodes|meshes|materials|textures)\/(\d+)/.exec(pointer || "");
+  if (!associations || !match) return [];
+
+  const [, type, indexText] = match;
+  const index = Number(indexText);
+  const objects = [];
+
+  if (type === "materials" || type === "textures") {
+    // Select the meshes using the material or texture
+    const targets = new Set();
+    associations.forEach((association, target) => {
+      if (association[type] === index) targets.add(target);
+    });
+    model.scene.traverse((node) => {
+      const uses = getMeshMaterials(node).some(
+        (material) =>
+          targets.has(material) ||
+          Object.values(material).some((value) => value?.isTexture && targets.has(value))
+      );
+      if (uses) objects.push(node);
+    });
+    return objects;
+  }
+
+  model.scene.traverse((node) => {
+    if (associations.get(node)?.[type] === index) {
+      objects.push(node);
+    }
+  });
+  return objects;
+}
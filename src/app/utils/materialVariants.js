@@ -0,0 +1,58 @@
+import { getSourceMaterial, setSourceMaterial } from "./sceneMaterials";
+
+const EXTENSION = "KHR_materials_variants";
+
+// Material of each primitive before a variant was picked
+const defaultMaterials = new WeakMap();
+
+export function getVariantNames(model) {
+  const variants = model?.parser?.json.extensions?.[EXTENSION]?.variants || [];
+  return variants.map((variant, index) => variant.name || `Variant ${index}`);
+}
+
+// Switch every primitive with variant mappings to the material of the named variant,
+// or back to its default material when the name is null or unknown
+export async function selectVariant(model, name) {
+  const { parser } = model;
+  const variantIndex = getVariantNames(model).indexOf(name);
+
+  const meshes = [];
+  model.scene.traverse((node) => {
+    if (node.isMesh && node.userData.gltfExtensions?.[EXTENSION]) {
+      meshes.push(node);
+    }
+  });
+
+  await Promise.all(
+    meshes.map(async (mesh) => {
+      const current = getSourceMaterial(mesh);
+      if (!defaultMaterials.has(mesh)) {
+        defaultMaterials.set(mesh, current);
+      }
+
+      const mapping = mesh.userData.gltfExtensions[EXTENSION].mappings.find((item) =>
+        item.variants.includes(variantIndex)
+      );
+      let material = defaultMaterials.get(mesh);
+      if (mapping) {
+        // Let the loader derive the variant for this primitive, e.g. with vertex colors
+        const shading = mesh.material;
+        mesh.material = await parser.getDependency("material", mapping.material);
+        parser.assignFinalMaterial(mesh);
+        material = mesh.material;
+        mesh.material = shading;
+      }
+
+      // Keep viewer overrides such as clipping and wireframe on the new material
+      material.clippingPlanes = current.clippingPlanes;
+      material.wireframe = current.wireframe;
+
+      if (current !== mesh.material) {
+        // Debug shading is active, the variant shows once it is switched off
+        setSourceMaterial(mesh, material);
+      } else {
+        mesh.material = material;
+      }
+    })
+  );
+}
@@ -0,0 +1,123 @@
+import * as THREE from "three";
+
+// Lengths are in the model's own units, before its Scale. The conversions below assume those
+// are meters, which holds for glTF; FBX files are usually in centimeters and OBJ, STL and
+// PLY have no unit at all.
+export const LENGTH_UNITS = [
+  { id: "m", label: "m", factor: 1 },
+  { id: "cm", label: "cm", factor: 100 },
+  { id: "mm", label: "mm", factor: 1000 },
+  { id: "in", label: "in", factor: 1 / 0.0254 },
+];
+
+export const MEASURE_TOOLS = [
+  { id: "distance", label: "Distance", points: 2 },
+  { id: "angle", label: "Angle", points: 3 },
+  { id: "area", label: "Area", points: Infinity },
+];
+
+export const SNAP_MODES = [
+  { id: "auto", label: "Auto" },
+  { id: "vertex", label: "Vertex" },
+  { id: "edge", label: "Edge" },
+  { id: "surface", label: "Surface" },
+];
+
+// Screen distance in pixels within which auto snapping picks a vertex or edge
+const SNAP_PIXELS = 12;
+
+function getUnit(unitId) {
+  return LENGTH_UNITS.find((unit) => unit.id === unitId) || LENGTH_UNITS[0];
+}
+
+function formatNumber(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: Math.abs(value) < 10 ? 3 : 1 });
+}
+
+export function formatLength(meters, unitId) {
+  const unit = getUnit(unitId);
+  return `${formatNumber(meters * unit.factor)} ${unit.label}`;
+}
+
+export function formatArea(squareMeters, unitId) {
+  const unit = getUnit(unitId);
+  return `${formatNumber(squareMeters * unit.factor * unit.factor)} ${unit.label}²`;
+}
+
+const toVectors = (points) => points.map((point) => new THREE.Vector3(...point));
+
+export function measureDistance(points) {
+  const [a, b] = toVectors(points);
+  return a.distanceTo(b);
+}
+
+// Angle at the middle point in degrees
+export function measureAngle(points) {
+  const [a, vertex, b] = toVectors(points);
+  return THREE.MathUtils.radToDeg(a.sub(vertex).angleTo(b.sub(vertex)));
+}
+
+// Area of a planar polygon in 3D, from the summed cross products of its edges
+export function measureArea(points) {
+  const vectors = toVectors(points);
+  const sum = new THREE.Vector3();
+  vectors.forEach((point, index) => {
+    sum.add(new THREE.Vector3().crossVectors(point, vectors[(index + 1) % vectors.length]));
+  });
+  return sum.length() / 2;
+}
+
+export function formatMeasurement(measurement, unitId) {
+  const { type, points } = measurement;
+  if (type === "distance") return formatLength(measureDistance(points), unitId);
+  if (type === "angle") return `${measureAngle(points).toFixed(1)}°`;
+  return formatArea(measureArea(points), unitId);
+}
+
+// Where the label of a measurement is placed
+export function getLabelPosition(measurement) {
+  const { type, points } = measurement;
+  if (type === "angle") return points[1];
+  const center = new THREE.Vector3();
+  toVectors(points).forEach((point) => center.add(point));
+  return center.divideScalar(points.length).toArray();
+}
+
+function toScreen(point, camera, width, height) {
+  const projected = point.clone().project(camera);
+  return new THREE.Vector2(((projected.x + 1) / 2) * width, ((1 - projected.y) / 2) * height);
+}
+
+// Snap a raycast hit to a vertex or edge of the hit triangle. Positions include skinning and
+// morph targets. `view` is { camera, pointer, width, height } with the pointer in NDC.
+export function snapIntersection(intersection, mode, view) {
+  const { object, face, point } = intersection;
+  if (mode === "surface" || !face || !object.isMesh) {
+    return point.toArray();
+  }
+
+  const corners = [face.a, face.b, face.c].map((index) =>
+    object.localToWorld(object.getVertexPosition(index, new THREE.Vector3()))
+  );
+  const { camera, pointer, width, height } = view;
+  const cursor = new THREE.Vector2(((pointer.x + 1) / 2) * width, ((1 - pointer.y) / 2) * height);
+  const screenDistance = (target) => toScreen(target, camera, width, height).distanceTo(cursor);
+
+  const vertex = corners.reduce((best, corner) =>
+    screenDistance(corner) < screenDistance(best) ? corner : best
+  );
+
+  const edgePoints = corners.map((corner, index) => {
+    const line = new THREE.Line3(corner, corners[(index + 1) % 3]);
+    return line.closestPointToPoint(point, true, new THREE.Vector3());
+  });
+  const edge = edgePoints.reduce((best, candidate) =>
+    screenDistance(candidate) < screenDistance(best) ? candidate : best
+  );
+
+  if (mode === "vertex") return vertex.toArray();
+  if (mode === "edge") return edge.toArray();
+  if (screenDistance(vertex) <= SNAP_PIXELS) return vertex.toArray();
+  if (screenDistance(edge) <= SNAP_PIXELS) return edge.toArray();
+  return point.toArray();
+}
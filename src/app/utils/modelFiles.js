@@ -0,0 +1,198 @@
+import * as THREE from "three";
+import { getFormatFromPath, getFormatPriority } from "./modelFormats";
+
+// Collapse "./", "../", backslashes and leading slashes into a plain relative path
+export function normalizePath(path) {
+  const parts = [];
+  path
+    .replace(/\\/g, "/")
+    .split("/")
+    .forEach((part) => {
+      if (!part || part === ".") return;
+      if (part === "..") {
+        parts.pop();
+      } else {
+        parts.push(part);
+      }
+    });
+  return parts.join("/");
+}
+
+export function isModelFile(path) {
+  return getFormatFromPath(path) !== null;
+}
+
+// Files picked through an <input>, keeping the folder structure of directory picks
+export function getInputFiles(fileList) {
+  return Array.from(fileList || []).map((file) => ({
+    path: normalizePath(file.webkitRelativePath || file.name),
+    file,
+  }));
+}
+
+function readDirectoryEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+async function readEntry(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ path: normalizePath(entry.fullPath), file }];
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries only returns a batch at a time, keep reading until it is empty
+    let batch = await readDirectoryEntries(reader);
+    while (batch.length > 0) {
+      children.push(...batch);
+      batch = await readDirectoryEntries(reader);
+    }
+    const files = await Promise.all(children.map(readEntry));
+    return files.flat();
+  }
+
+  return [];
+}
+
+// Files from a drop event, walking into dropped folders.
+// The entries have to be taken from the DataTransfer before the first await.
+export async function getDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return getInputFiles(dataTransfer.files);
+  }
+
+  const files = await Promise.all(entries.map(readEntry));
+  return files.flat();
+}
+
+// Model files among a list of paths, shallowest first and glTF before other formats
+export function getModelCandidates(paths) {
+  return paths
+    .filter(isModelFile)
+    .sort(
+      (a, b) =>
+        a.split("/").length - b.split("/").length ||
+        getFormatPriority(getFormatFromPath(a)) - getFormatPriority(getFormatFromPath(b)) ||
+        a.localeCompare(b)
+    );
+}
+
+// Pick the model to open when the user did not choose one
+export function findRootModel(fileMap) {
+  return getModelCandidates(Array.from(fileMap.keys()))[0] || null;
+}
+
+// Build a model source from a set of local files. The root model gets an object URL and
+// every relative URI it references is resolved against the file map through the
+// LoadingManager URL modifier, so external .bin buffers and textures load from the drop.
+export function createModelSource(files, rootPath = null) {
+  const fileMap = new Map(files.map(({ path, file }) => [normalizePath(path), file]));
+  const root = rootPath || findRootModel(fileMap);
+
+  if (!root || !fileMap.has(root)) {
+    return null;
+  }
+
+  const rootFile = fileMap.get(root);
+  const rootDir = root.slice(0, root.lastIndexOf("/") + 1);
+  const url = URL.createObjectURL(rootFile);
+  const baseUrl = THREE.LoaderUtils.extractUrlBase(url);
+  const objectUrls = new Map();
+
+  // Fallback lookup by file name, for exports whose textures were flattened or moved
+  const filesByName = new Map();
+  fileMap.forEach((file, path) => {
+    const name = path.split("/").pop().toLowerCase();
+    if (!filesByName.has(name)) {
+      filesByName.set(name, path);
+    }
+  });
+
+  const resolvePath = (requested) => {
+    let relative = requested.slice(baseUrl.length);
+    try {
+      relative = decodeURI(relative);
+    } catch (error) {
+      // Keep the raw URI if it is not valid percent-encoding
+    }
+    const path = normalizePath(rootDir + relative);
+    if (fileMap.has(path)) {
+      return path;
+    }
+    return filesByName.get(path.split("/").pop().toLowerCase()) || null;
+  };
+
+  const manager = new THREE.LoadingManager();
+  manager.setURLModifier((requested) => {
+    if (requested === url || !requested.startsWith(baseUrl)) {
+      return requested;
+    }
+
+    // Unknown paths pass through untouched: embedded GLB images also use blob: URLs
+    const path = resolvePath(requested);
+    if (!path) {
+      return requested;
+    }
+
+    if (!objectUrls.has(path)) {
+      objectUrls.set(path, URL.createObjectURL(fileMap.get(path)));
+    }
+    return objectUrls.get(path);
+  });
+
+  return {
+    url,
+    name: rootFile.name,
+    format: getFormatFromPath(root),
+    rootPath: root,
+    fileMap,
+    manager,
+    dispose() {
+      URL.revokeObjectURL(url);
+      objectUrls.forEach((objectUrl) => URL.revokeObjectURL(objectUrl));
+      objectUrls.clear();
+    },
+  };
+}
+
+// Build a model source from a URL; relative URLs resolve against the page so files
+// served from public/ can be linked directly
+export function createUrlSource(value) {
+  const link = value.trim();
+  if (!link) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(link, window.location.href).href;
+  } catch (error) {
+    return null;
+  }
+
+  let name = new URL(url).pathname.split("/").pop() || url;
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the encoded name
+  }
+
+  return {
+    url,
+    name,
+    link,
+    // Links without a known extension are assumed to be glTF
+    format: getFormatFromPath(url) || "gltf",
+    remote: true,
+    fileMap: null,
+    manager: null,
+    dispose() {},
+  };
+}
@@ -0,0 +1,75 @@
+// Model formats the viewer can open, in order of preference when a drop holds several
+export const MODEL_FORMATS = {
+  gltf: { label: "glTF", extensions: [".glb", ".gltf"] },
+  fbx: { label: "FBX", extensions: [".fbx"] },
+  obj: { label: "OBJ", extensions: [".obj"] },
+  usdz: { label: "USDZ", extensions: [".usdz"] },
+  stl: { label: "STL", extensions: [".stl"] },
+  ply: { label: "PLY", extensions: [".ply"] },
+};
+
+// Everything the file inputs accept, including sidecar resources
+export const MODEL_FILE_ACCEPT = [
+  ...Object.values(MODEL_FORMATS).flatMap((format) => format.extensions),
+  ".zip",
+  ".bin",
+  ".mtl",
+  ".ktx2",
+  "image/*",
+].join(",");
+
+function getFileExtension(path) {
+  const name = path.split(/[?#]/)[0].split("/").pop();
+  const index = name.lastIndexOf(".");
+  return index === -1 ? "" : name.slice(index).toLowerCase();
+}
+
+export function getFormatFromPath(path) {
+  const extension = getFileExtension(path);
+  const format = Object.keys(MODEL_FORMATS).find((key) =>
+    MODEL_FORMATS[key].extensions.includes(extension)
+  );
+  return format || null;
+}
+
+export function getFormatPriority(format) {
+  return Object.keys(MODEL_FORMATS).indexOf(format);
+}
+
+function startsWith(bytes, signature) {
+  return Array.from(signature).every((char, i) => bytes[i] === char.charCodeAt(0));
+}
+
+// Recognise a format from the first bytes of a file, null when the header is not conclusive
+function getFormatFromHeader(bytes, size) {
+  if (startsWith(bytes, "glTF")) return "gltf";
+  if (startsWith(bytes, "Kaydara FBX Binary")) return "fbx";
+  if (startsWith(bytes, "ply")) return "ply";
+  if (startsWith(bytes, "PK\x03\x04")) return "zip";
+
+  // Binary STL: 80 byte header, triangle count, then 50 bytes per triangle
+  if (bytes.length >= 84) {
+    const triangles = new DataView(bytes.buffer, bytes.byteOffset).getUint32(80, true);
+    if (84 + triangles * 50 === size) return "stl";
+  }
+
+  const text = new TextDecoder().decode(bytes).trimStart();
+  if (text.startsWith("solid")) return "stl";
+  if (text.startsWith("; FBX")) return "fbx";
+  if (text.startsWith("{") && text.includes('"asset"')) return "gltf";
+
+  return null;
+}
+
+// Detect the format of a local file by its magic bytes, falling back to the extension
+export async function detectFileFormat(file, path = file.name) {
+  const extensionFormat = getFormatFromPath(path);
+  const bytes = new Uint8Array(await file.slice(0, 512).arrayBuffer());
+  const headerFormat = getFormatFromHeader(bytes, file.size);
+
+  // USDZ packages are zip archives, trust the extension there
+  if (headerFormat === "zip") {
+    return extensionFormat;
+  }
+  return headerFormat || extensionFormat;
+}
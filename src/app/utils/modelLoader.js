@@ -0,0 +1,147 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { USDZLoader } from "three/examples/jsm/loaders/USDZLoader.js";
+import { configureGLTFLoader } from "./gltfLoader";
+
+// Wrap a loaded object in the { scene, animations, cameras } shape GLTFLoader returns
+function normalizeModel(object, format, animations = []) {
+  const scene = object.isScene ? object : new THREE.Group().add(object);
+  const cameras = [];
+  scene.traverse((node) => {
+    if (node.isCamera) {
+      cameras.push(node);
+    }
+  });
+
+  return {
+    scene,
+    scenes: [scene],
+    animations,
+    cameras,
+    asset: {},
+    userData: {},
+    format,
+  };
+}
+
+// STL and PLY only contain geometry, give it a neutral material.
+// Point clouds are sized in pixels so the Point Size setting applies to them.
+function createGeometryObject(geometry, { points = false } = {}) {
+  const hasColors = !!geometry.getAttribute("color");
+
+  if (points) {
+    return new THREE.Points(
+      geometry,
+      new THREE.PointsMaterial({ size: 1, sizeAttenuation: false, vertexColors: hasColors })
+    );
+  }
+
+  if (!geometry.getAttribute("normal")) {
+    geometry.computeVertexNormals();
+  }
+
+  const material = new THREE.MeshStandardMaterial({
+    color: hasColors ? 0xffffff : 0xcccccc,
+    roughness: 0.6,
+    metalness: 0,
+    vertexColors: hasColors,
+  });
+
+  // Colored binary STL files may carry a default alpha
+  if (geometry.alpha !== undefined && geometry.alpha < 1) {
+    material.opacity = geometry.alpha;
+    material.transparent = true;
+  }
+
+  return new THREE.Mesh(geometry, material);
+}
+
+// Loads every supported model format through one loader class so useLoader can cache it.
+// The format and renderer are set by the useLoader extension callback before each load.
+export class ModelLoader extends THREE.Loader {
+  constructor(manager) {
+    super(manager);
+    this.format = "gltf";
+    this.renderer = null;
+    this.gltfLoader = new GLTFLoader();
+  }
+
+  setFormat(format) {
+    this.format = format;
+    return this;
+  }
+
+  setRenderer(renderer) {
+    this.renderer = renderer;
+    return this;
+  }
+
+  load(url, onLoad, onProgress, onError) {
+    this.loadModel(url, onProgress).then(onLoad, onError);
+  }
+
+  async loadModel(url, onProgress) {
+    switch (this.format) {
+      case "gltf": {
+        configureGLTFLoader(this.gltfLoader, { gl: this.renderer, manager: this.manager });
+        const gltf = await this.gltfLoader.loadAsync(url, onProgress);
+        gltf.format = "gltf";
+        return gltf;
+      }
+
+      case "obj":
+        return normalizeModel(await this.loadOBJ(url, onProgress), "obj");
+
+      case "fbx": {
+        const group = await new FBXLoader(this.manager).loadAsync(url, onProgress);
+        return normalizeModel(group, "fbx", group.animations);
+      }
+
+      case "stl": {
+        const geometry = await new STLLoader(this.manager).loadAsync(url, onProgress);
+        return normalizeModel(createGeometryObject(geometry), "stl");
+      }
+
+      case "ply": {
+        const geometry = await new PLYLoader(this.manager).loadAsync(url, onProgress);
+        // PLY scans without faces are point clouds
+        return normalizeModel(createGeometryObject(geometry, { points: !geometry.index }), "ply");
+      }
+
+      case "usdz":
+        return normalizeModel(await new USDZLoader(this.manager).loadAsync(url, onProgress), "usdz");
+
+      default:
+        throw new Error(`Unsupported model format: ${this.format}`);
+    }
+  }
+
+  // OBJLoader does not follow mtllib references, load the material libraries first
+  async loadOBJ(url, onProgress) {
+    const fileLoader = new THREE.FileLoader(this.manager);
+    const text = await fileLoader.loadAsync(url, onProgress);
+    const objLoader = new OBJLoader(this.manager);
+
+    const libraries = Array.from(text.matchAll(/^mtllib\s+(.+)$/gm), (match) => match[1].trim());
+    const basePath = THREE.LoaderUtils.extractUrlBase(url);
+
+    for (const library of libraries) {
+      try {
+        const materials = await new MTLLoader(this.manager).loadAsync(
+          THREE.LoaderUtils.resolveURL(library, basePath)
+        );
+        materials.preload();
+        objLoader.setMaterials(materials);
+      } catch (error) {
+        console.warn(`Could not load material library ${library}:`, error);
+      }
+    }
+
+    return objLoader.parse(text);
+  }
+}
@@ -0,0 +1,140 @@
+import { collectMaterials, collectTextures } from "./sceneMaterials";
+
+export function getTextureSize(texture) {
+  const image = texture.image;
+  return {
+    width: image?.width || image?.videoWidth || 0,
+    height: image?.height || image?.videoHeight || 0,
+  };
+}
+
+export function getTextureFormat(texture) {
+  if (texture.isCompressedTexture) return "KTX2 / compressed";
+  if (texture.isDataTexture) return "Data";
+  const mimeType = texture.userData?.mimeType;
+  return mimeType ? mimeType.replace("image/", "").toUpperCase() : "Image";
+}
+
+// GPU memory of a texture: compressed data as stored, images as RGBA8 plus a mip chain
+export function estimateTextureBytes(texture) {
+  if (texture.isCompressedTexture && texture.mipmaps?.length) {
+    return texture.mipmaps.reduce((sum, mip) => sum + (mip.data?.byteLength || 0), 0);
+  }
+  if (texture.image?.data?.byteLength) {
+    return texture.image.data.byteLength;
+  }
+  const { width, height } = getTextureSize(texture);
+  const bytes = width * height * 4;
+  return texture.generateMipmaps ? Math.round((bytes * 4) / 3) : bytes;
+}
+
+function getAttributeArray(attribute) {
+  return attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array;
+}
+
+// Bytes of all vertex and index buffers, counting shared buffers once
+function estimateGeometryBytes(geometries) {
+  const arrays = new Set();
+  geometries.forEach((geometry) => {
+    Object.values(geometry.attributes).forEach((attribute) => arrays.add(getAttributeArray(attribute)));
+    Object.values(geometry.morphAttributes).forEach((attributes) => {
+      attributes.forEach((attribute) => arrays.add(getAttributeArray(attribute)));
+    });
+    if (geometry.index) {
+      arrays.add(geometry.index.array);
+    }
+  });
+  return Array.from(arrays).reduce((sum, array) => sum + array.byteLength, 0);
+}
+
+export function getTriangleCount(geometry) {
+  const count = geometry.index ? geometry.index.count : geometry.getAttribute("position")?.count || 0;
+  return Math.floor(count / 3);
+}
+
+// Budget figures for a loaded model. glTF files report meshes and primitives as authored,
+// other formats count each three.js mesh as one mesh with one primitive per material group.
+export function computeModelStats(model) {
+  const { scene } = model;
+  const json = model.parser?.json;
+
+  const geometries = new Set();
+  const skeletons = new Set();
+  let meshObjects = 0;
+  let primitives = 0;
+  let triangles = 0;
+  let vertices = 0;
+  let points = 0;
+  let morphMeshes = 0;
+  let morphTargets = 0;
+
+  scene.traverse((node) => {
+    if (!node.geometry) return;
+    const geometry = node.geometry;
+    const instances = node.isInstancedMesh ? node.count : 1;
+    geometries.add(geometry);
+
+    const vertexCount = geometry.getAttribute("position")?.count || 0;
+    vertices += vertexCount * instances;
+
+    if (node.isMesh) {
+      meshObjects++;
+      primitives += Math.max(1, geometry.groups.length);
+      triangles += getTriangleCount(geometry) * instances;
+    } else if (node.isPoints) {
+      points += vertexCount;
+    }
+
+    if (node.isSkinnedMesh && node.skeleton) {
+      skeletons.add(node.skeleton);
+    }
+
+    const targets = geometry.morphAttributes.position?.length || 0;
+    if (targets > 0) {
+      morphMeshes++;
+      morphTargets += targets;
+    }
+  });
+
+  const textures = collectTextures(scene).map(({ texture, usages }) => {
+    const { width, height } = getTextureSize(texture);
+    return {
+      name: texture.name || texture.image?.src?.split("/").pop() || "(unnamed)",
+      width,
+      height,
+      format: getTextureFormat(texture),
+      colorSpace: texture.colorSpace,
+      bytes: estimateTextureBytes(texture),
+      slots: Array.from(new Set(usages.map((usage) => usage.slot))),
+    };
+  });
+
+  const textureBytes = textures.reduce((sum, texture) => sum + texture.bytes, 0);
+  const geometryBytes = estimateGeometryBytes(geometries);
+
+  return {
+    format: model.format || "gltf",
+    meshes: json ? json.meshes?.length || 0 : meshObjects,
+    primitives: json
+      ? (json.meshes || []).reduce((sum, mesh) => sum + mesh.primitives.length, 0)
+      : primitives,
+    triangles,
+    vertices,
+    points,
+    materials: collectMaterials(scene).length,
+    textures,
+    skins: json ? json.skins?.length || 0 : skeletons.size,
+    morphMeshes,
+    morphTargets,
+    animations: model.animations.map((clip) => ({
+      name: clip.name,
+      duration: clip.duration,
+      tracks: clip.tracks.length,
+    })),
+    memory: {
+      geometry: geometryBytes,
+      textures: textureBytes,
+      total: geometryBytes + textureBytes,
+    },
+  };
+}
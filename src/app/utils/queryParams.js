@@ -0,0 +1,17 @@
+export function getQueryParam(name) {
+  if (typeof window === "undefined") return null;
+  return new URLSearchParams(window.location.search).get(name);
+}
+
+// Update the address bar without reloading; null or empty values remove the param
+export function setQueryParams(params) {
+  const url = new URL(window.location.href);
+  Object.entries(params).forEach(([name, value]) => {
+    if (value === null || value === undefined || value === "") {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, value);
+    }
+  });
+  window.history.replaceState(window.history.state, "", url);
+}
@@ -0,0 +1,119 @@
+import { Zip, ZipPassThrough } from "three/examples/jsm/libs/fflate.module.js";
+
+export const EXPORT_FORMATS = [
+  { id: "webm", label: "WebM Video" },
+  { id: "png", label: "PNG Sequence (zip)" },
+];
+
+export const EXPORT_RESOLUTIONS = [
+  { id: "720p", label: "1280 × 720", width: 1280, height: 720 },
+  { id: "1080p", label: "1920 × 1080", width: 1920, height: 1080 },
+  { id: "1440p", label: "2560 × 1440", width: 2560, height: 1440 },
+  { id: "2160p", label: "3840 × 2160", width: 3840, height: 2160 },
+  { id: "square", label: "1080 × 1080", width: 1080, height: 1080 },
+  { id: "portrait", label: "1080 × 1920", width: 1080, height: 1920 },
+];
+
+export const EXPORT_FRAME_RATES = [24, 25, 30, 60];
+
+const VIDEO_MIME_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+// First WebM type the browser can record, null when MediaRecorder is unavailable
+export function getVideoMimeType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return VIDEO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+function canvasToBlob(canvas, type) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("Could not read the canvas"))), type);
+  });
+}
+
+// Frames are streamed into the archive one by one, so no more than one PNG is held as bytes.
+// The archive itself is collected as blobs, which browsers may keep on disk.
+function createPNGSequence(name) {
+  const parts = [];
+  let failure = null;
+  const archive = new Zip((error, chunk) => {
+    if (error) {
+      failure = error;
+    } else {
+      parts.push(new Blob([chunk]));
+    }
+  });
+  let count = 0;
+  return {
+    async addFrame(canvas) {
+      const blob = await canvasToBlob(canvas, "image/png");
+      // PNG data is already compressed, store it as is
+      const file = new ZipPassThrough(`${name}/${name}_${String(count).padStart(4, "0")}.png`);
+      archive.add(file);
+      file.push(new Uint8Array(await blob.arrayBuffer()), true);
+      count++;
+      if (failure) throw failure;
+    },
+    async finish() {
+      archive.end();
+      if (failure) throw failure;
+      return new Blob(parts, { type: "application/zip" });
+    },
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+// MediaRecorder timestamps frames with the wall clock. It is paused while a frame renders and
+// records each frame until the recorded time reaches the frame's end, so the video keeps the
+// target rate however long rendering takes.
+function createWebMRecorder(fps) {
+  const mimeType = getVideoMimeType();
+  if (!mimeType) {
+    throw new Error("This browser cannot record WebM video");
+  }
+  const chunks = [];
+  let stream;
+  let recorder;
+  let count = 0;
+  let recorded = 0; // Milliseconds the recorder has been running
+
+  return {
+    async addFrame(canvas) {
+      if (!recorder) {
+        stream = canvas.captureStream(0);
+        recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 16000000 });
+        recorder.ondataavailable = (e) => {
+          if (e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.start();
+      } else {
+        recorder.resume();
+      }
+      const resumed = performance.now();
+      stream.getVideoTracks()[0].requestFrame();
+      count++;
+      await wait((count * 1000) / fps - recorded);
+      recorder.pause();
+      recorded += performance.now() - resumed;
+    },
+    async finish() {
+      if (!recorder) return new Blob([], { type: "video/webm" });
+      const stopped = new Promise((resolve) => {
+        recorder.onstop = resolve;
+      });
+      recorder.stop();
+      await stopped;
+      stream.getTracks().forEach((track) => track.stop());
+      return new Blob(chunks, { type: "video/webm" });
+    },
+  };
+}
+
+// Collects rendered frames into a downloadable file of the given format
+export function createFrameWriter(format, { fps, name }) {
+  return format === "png" ? createPNGSequence(name) : createWebMRecorder(fps);
+}
+
+export function getExportExtension(format) {
+  return format === "png" ? "zip" : "webm";
+}
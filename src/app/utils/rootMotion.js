@@ -0,0 +1,64 @@
+import * as THREE from "three";
+
+export const ROOT_MOTION_AXES = ["x", "y", "z"];
+
+export function createDefaultRootMotion(bone = null) {
+  return {
+    bone, // uuid of the root bone
+    inPlace: false,
+    // World axes stripped in place, vertical motion such as jumps is kept by default
+    axes: { x: true, y: false, z: true },
+    follow: false,
+  };
+}
+
+export function getBones(scene) {
+  const bones = [];
+  scene.traverse((node) => {
+    if (node.isBone) bones.push(node);
+  });
+  return bones;
+}
+
+function getDepth(node) {
+  let depth = 0;
+  for (let parent = node.parent; parent; parent = parent.parent) depth++;
+  return depth;
+}
+
+function getTranslationTrack(clip, bone) {
+  return clip?.tracks.find((track) => {
+    const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+    return propertyName === "position" && (nodeName === bone.name || nodeName === bone.uuid);
+  });
+}
+
+// Shallowest bone whose translation is animated, usually the hips, otherwise the top of the skeleton
+export function detectRootBone(model) {
+  const bones = getBones(model.scene);
+  const animated = bones.filter((bone) => model.animations?.some((clip) => getTranslationTrack(clip, bone)));
+  const candidates = animated.length > 0 ? animated : bones;
+  return candidates.reduce((best, bone) => (!best || getDepth(bone) < getDepth(best) ? bone : best), null);
+}
+
+// Local position of the bone on the first keyframe of the clip, null when the clip does not move it
+export function getClipStartPosition(clip, bone) {
+  const track = getTranslationTrack(clip, bone);
+  return track ? new THREE.Vector3().fromArray(track.values, 0) : null;
+}
+
+const worldPosition = new THREE.Vector3();
+const startPosition = new THREE.Vector3();
+
+// Keep the bone at its clip start position along the given world axes. Axes are taken in world
+// space because skeletons are often rotated, e.g. by a Z-up to Y-up conversion on the armature.
+export function stripRootMotion(bone, start, axes) {
+  const parent = bone.parent;
+  parent.updateWorldMatrix(true, false);
+  startPosition.copy(start).applyMatrix4(parent.matrixWorld);
+  worldPosition.copy(bone.position).applyMatrix4(parent.matrixWorld);
+  ROOT_MOTION_AXES.forEach((axis) => {
+    if (axes[axis]) worldPosition[axis] = startPosition[axis];
+  });
+  bone.position.copy(parent.worldToLocal(worldPosition));
+}
@@ -0,0 +1,136 @@
+// Material slots that can hold a texture, in the order they are listed in the UI
+export const TEXTURE_SLOTS = [
+  "map",
+  "normalMap",
+  "roughnessMap",
+  "metalnessMap",
+  "aoMap",
+  "emissiveMap",
+  "alphaMap",
+  "bumpMap",
+  "displacementMap",
+  "lightMap",
+  "clearcoatMap",
+  "clearcoatRoughnessMap",
+  "clearcoatNormalMap",
+  "transmissionMap",
+  "thicknessMap",
+  "sheenColorMap",
+  "sheenRoughnessMap",
+  "specularIntensityMap",
+  "specularColorMap",
+  "iridescenceMap",
+  "iridescenceThicknessMap",
+  "anisotropyMap",
+  "envMap",
+];
+
+// Materials from the file for objects whose material is temporarily replaced, e.g. by debug shading
+const sourceMaterials = new WeakMap();
+
+export function getSourceMaterial(object) {
+  return sourceMaterials.has(object) ? sourceMaterials.get(object) : object.material;
+}
+
+export function setSourceMaterial(object, material) {
+  if (material) {
+    sourceMaterials.set(object, material);
+  } else {
+    sourceMaterials.delete(object);
+  }
+}
+
+export function getMeshMaterials(object) {
+  const material = getSourceMaterial(object);
+  if (!material) return [];
+  return Array.isArray(material) ? material : [material];
+}
+
+// Every distinct material used by meshes, points and lines in the scene
+export function collectMaterials(scene) {
+  const materials = new Set();
+  scene.traverse((node) => {
+    getMeshMaterials(node).forEach((material) => materials.add(material));
+  });
+  return Array.from(materials);
+}
+
+// [{ slot, texture }] for every texture slot of a material that is in use
+export function getMaterialTextures(material) {
+  return TEXTURE_SLOTS
+    .filter((slot) => material[slot]?.isTexture)
+    .map((slot) => ({ slot, texture: material[slot] }));
+}
+
+// Every distinct texture of the scene with the materials and slots using it
+export function collectTextures(scene) {
+  const textures = new Map();
+  collectMaterials(scene).forEach((material) => {
+    getMaterialTextures(material).forEach(({ slot, texture }) => {
+      if (!textures.has(texture)) {
+        textures.set(texture, { texture, usages: [] });
+      }
+      textures.get(texture).usages.push({ material, slot });
+    });
+  });
+  return Array.from(textures.values());
+}
+
+// Material properties the material editor can change
+const EDITABLE_PROPERTIES = [
+  "color",
+  "metalness",
+  "roughness",
+  "emissive",
+  "emissiveIntensity",
+  "normalScale",
+  "aoMapIntensity",
+  "opacity",
+  "transparent",
+  "alphaTest",
+  "depthWrite",
+  "side",
+  "clearcoat",
+  "clearcoatRoughness",
+  "transmission",
+  "thickness",
+  "sheen",
+  "sheenRoughness",
+  "sheenColor",
+  "specularIntensity",
+  "specularColor",
+  "ior",
+];
+
+// Values as loaded from the file, taken before the first edit of each material
+const originalValues = new WeakMap();
+
+export function rememberMaterial(material) {
+  if (originalValues.has(material)) return;
+  const values = {};
+  EDITABLE_PROPERTIES.forEach((key) => {
+    const value = material[key];
+    if (value !== undefined) {
+      values[key] = value?.clone ? value.clone() : value;
+    }
+  });
+  originalValues.set(material, values);
+}
+
+export function isMaterialEdited(material) {
+  return originalValues.has(material);
+}
+
+export function resetMaterial(material) {
+  const values = originalValues.get(material);
+  if (!values) return;
+  Object.entries(values).forEach(([key, value]) => {
+    if (value?.copy) {
+      material[key].copy(value);
+    } else {
+      material[key] = value;
+    }
+  });
+  material.needsUpdate = true;
+  originalValues.delete(material);
+}
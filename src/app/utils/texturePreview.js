@@ -0,0 +1,135 @@
+import * as THREE from "three";
+
+export const PREVIEW_CHANNELS = [
+  { id: "rgb", label: "RGB" },
+  { id: "r", label: "R", index: 0 },
+  { id: "g", label: "G", index: 1 },
+  { id: "b", label: "B", index: 2 },
+  { id: "a", label: "A", index: 3 },
+];
+
+const WRAP_NAMES = {
+  [THREE.RepeatWrapping]: "Repeat",
+  [THREE.ClampToEdgeWrapping]: "Clamp",
+  [THREE.MirroredRepeatWrapping]: "Mirror",
+};
+
+const FILTER_NAMES = {
+  [THREE.NearestFilter]: "Nearest",
+  [THREE.NearestMipmapNearestFilter]: "Nearest Mip Nearest",
+  [THREE.NearestMipmapLinearFilter]: "Nearest Mip Linear",
+  [THREE.LinearFilter]: "Linear",
+  [THREE.LinearMipmapNearestFilter]: "Linear Mip Nearest",
+  [THREE.LinearMipmapLinearFilter]: "Linear Mip Linear",
+};
+
+export function getColorSpaceLabel(texture) {
+  if (texture.colorSpace === THREE.SRGBColorSpace) return "sRGB";
+  if (texture.colorSpace === THREE.LinearSRGBColorSpace) return "Linear";
+  return "Non-color";
+}
+
+export function getSamplerLabel(texture) {
+  return [
+    `Wrap ${WRAP_NAMES[texture.wrapS]} / ${WRAP_NAMES[texture.wrapT]}`,
+    `Mag ${FILTER_NAMES[texture.magFilter]}`,
+    `Min ${FILTER_NAMES[texture.minFilter]}`,
+  ];
+}
+
+// Image source that a 2D canvas can draw, or null for GPU-only data such as KTX2 or float maps
+function getDrawableImage(texture) {
+  const image = texture.image;
+  if (!image || texture.isCompressedTexture) return null;
+  if (image.data) {
+    if (!(image.data instanceof Uint8Array || image.data instanceof Uint8ClampedArray)) return null;
+    if (image.data.length !== image.width * image.height * 4) return null;
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const imageData = new ImageData(new Uint8ClampedArray(image.data), image.width, image.height);
+    canvas.getContext("2d").putImageData(imageData, 0, 0);
+    return canvas;
+  }
+  return image.width > 0 ? image : null;
+}
+
+// Draw a texture into a canvas, scaled to fit maxSize, showing RGB or a single channel as grayscale.
+// Returns false when the texture data cannot be read on the CPU.
+export function drawTexture(canvas, texture, { maxSize, channel = "rgb" }) {
+  const image = getDrawableImage(texture);
+  if (!image) return false;
+
+  const width = image.width || image.videoWidth;
+  const height = image.height || image.videoHeight;
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const index = PREVIEW_CHANNELS.find((item) => item.id === channel)?.index;
+  const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+  const data = pixels.data;
+  for (let i = 0; i < data.length; i += 4) {
+    if (index !== undefined) {
+      const value = data[i + index];
+      data[i] = value;
+      data[i + 1] = value;
+      data[i + 2] = value;
+    }
+    data[i + 3] = 255;
+  }
+  context.putImageData(pixels, 0, 0);
+  return true;
+}
+
+// Draw the UV triangles of meshes over a texture preview. Triangles are filled translucently
+// so overlapping islands show up brighter. Returns the number of triangles leaving 0..1.
+export function drawUVLayout(canvas, objects, texture) {
+  const context = canvas.getContext("2d");
+  const { width, height } = canvas;
+  const uvName = texture.channel > 0 ? `uv${texture.channel}` : "uv";
+
+  texture.updateMatrix();
+  const uv = new THREE.Vector2();
+  const points = [new THREE.Vector2(), new THREE.Vector2(), new THREE.Vector2()];
+  let outOfRange = 0;
+
+  context.save();
+  context.lineWidth = 1;
+  context.strokeStyle = "rgba(43,153,255,0.9)";
+  context.fillStyle = "rgba(43,153,255,0.15)";
+
+  objects.forEach((object) => {
+    const attribute = object.geometry?.getAttribute(uvName);
+    if (!attribute) return;
+    const index = object.geometry.index;
+    const count = index ? index.count : attribute.count;
+
+    for (let i = 0; i + 2 < count; i += 3) {
+      let outside = false;
+      for (let corner = 0; corner < 3; corner++) {
+        const vertex = index ? index.getX(i + corner) : i + corner;
+        uv.fromBufferAttribute(attribute, vertex).applyMatrix3(texture.matrix);
+        if (uv.x < 0 || uv.x > 1 || uv.y < 0 || uv.y > 1) outside = true;
+        // glTF textures are not flipped, their v axis points down the image
+        points[corner].set(uv.x * width, (texture.flipY ? 1 - uv.y : uv.y) * height);
+      }
+      if (outside) outOfRange++;
+
+      context.beginPath();
+      context.moveTo(points[0].x, points[0].y);
+      context.lineTo(points[1].x, points[1].y);
+      context.lineTo(points[2].x, points[2].y);
+      context.closePath();
+      context.fill();
+      context.stroke();
+    }
+  });
+
+  context.restore();
+  return outOfRange;
+}
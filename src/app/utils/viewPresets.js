@@ -0,0 +1,40 @@
+import * as THREE from "three";
+
+// Directions from the orbit target to the camera
+export const VIEW_PRESETS = [
+  { id: "front", label: "Front", direction: [0, 0, 1] },
+  { id: "back", label: "Back", direction: [0, 0, -1] },
+  { id: "left", label: "Left", direction: [-1, 0, 0] },
+  { id: "right", label: "Right", direction: [1, 0, 0] },
+  { id: "top", label: "Top", direction: [0, 1, 0] },
+  { id: "bottom", label: "Bottom", direction: [0, -1, 0] },
+  { id: "iso", label: "Iso", direction: [1, 1, 1] },
+];
+
+export const PROJECTIONS = [
+  { id: "perspective", label: "Perspective" },
+  { id: "orthographic", label: "Orthographic" },
+];
+
+// Camera looking at the target along the direction, at the current orbit distance
+export function getPresetView(direction, camera, target) {
+  const distance = camera.position.distanceTo(target) || 1;
+  const offset = new THREE.Vector3().fromArray(direction).normalize().multiplyScalar(distance);
+  return {
+    position: target.clone().add(offset).toArray(),
+    target: target.toArray(),
+  };
+}
+
+// Fit an orthographic frustum sized in pixels, as set up by the camera component, to the
+// model bounds. The depth range reaches behind the camera so close geometry is not clipped.
+export function fitOrthographicCamera(camera, bounds, target) {
+  const diameter = bounds.size.length() || 1;
+  const width = camera.right - camera.left;
+  const height = camera.top - camera.bottom;
+  camera.zoom = Math.min(width, height) / (diameter * 1.1);
+  const depth = (camera.position.distanceTo(target) + diameter) * 2;
+  camera.near = -depth;
+  camera.far = depth;
+  camera.updateProjectionMatrix();
+}
@@ -0,0 +1,46 @@
+import { unzip } from "three/examples/jsm/libs/fflate.module.js";
+import { normalizePath } from "./modelFiles";
+
+export function isZipFile(path) {
+  return path.toLowerCase().endsWith(".zip");
+}
+
+// Folders, macOS resource forks and hidden files are not resources a model can reference
+function isIgnoredEntry(name) {
+  return name.endsWith("/") || name.startsWith("__MACOSX/") || name.split("/").pop().startsWith(".");
+}
+
+function unzipAsync(data) {
+  return new Promise((resolve, reject) => {
+    unzip(data, (error, entries) => (error ? reject(error) : resolve(entries)));
+  });
+}
+
+// Replace every .zip in a file list with its contents. Entries are placed in a folder named
+// after the archive, so relative URIs inside the archive resolve like they would on disk.
+export async function extractZipFiles(files) {
+  const result = [];
+
+  for (const entry of files) {
+    if (!isZipFile(entry.path)) {
+      result.push(entry);
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = await unzipAsync(new Uint8Array(await entry.file.arrayBuffer()));
+    } catch (error) {
+      throw new Error(`Could not unzip ${entry.file.name}: ${error.message}`);
+    }
+
+    const folder = entry.path.replace(/\.zip$/i, "");
+    Object.entries(entries).forEach(([name, data]) => {
+      if (isIgnoredEntry(name)) return;
+      const path = normalizePath(`${folder}/${name}`);
+      result.push({ path, file: new File([data], path.split("/").pop()) });
+    });
+  }
+
+  return result;
+}